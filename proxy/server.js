@@ -0,0 +1,214 @@
+/**
+ * NewsStream - Self-hosted feed proxy
+ *
+ * Minimal CORS proxy for RSS/Atom/JSON feeds with no dependencies (Node 18+).
+ *
+ * Usage:
+ *   node proxy/server.js
+ *   then add "http://localhost:8787/?url=" to the Feed Proxies list in settings
+ *
+ * Environment:
+ *   PORT              Port to listen on (default 8787)
+ *   PROXY_ALLOWLIST   Comma-separated feed hosts (default: proxy/allowlist.json)
+ *   PROXY_MAX_BYTES   Maximum upstream response size (default 2 MB)
+ *   PROXY_TIMEOUT_MS  Upstream request timeout (default 15000)
+ *   PROXY_USER_AGENT  User agent sent to feed hosts
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_BYTES = Number(process.env.PROXY_MAX_BYTES) || 2 * 1024 * 1024;
+const TIMEOUT_MS = Number(process.env.PROXY_TIMEOUT_MS) || 15000;
+const USER_AGENT = process.env.PROXY_USER_AGENT || 'NewsStream-Proxy/1.0 (+self-hosted feed reader)';
+const MAX_REDIRECTS = 5;
+
+// Headers forwarded in each direction (conditional GET support)
+const FORWARD_REQUEST_HEADERS = ['accept', 'if-none-match', 'if-modified-since'];
+const FORWARD_RESPONSE_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control'];
+
+/**
+ * Load allowed feed hosts from the environment or allowlist.json
+ */
+function loadAllowlist() {
+  if (process.env.PROXY_ALLOWLIST) {
+    return new Set(process.env.PROXY_ALLOWLIST.split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+  }
+
+  const file = path.join(__dirname, 'allowlist.json');
+  return new Set(JSON.parse(fs.readFileSync(file, 'utf8')).map(host => host.toLowerCase()));
+}
+
+const allowlist = loadAllowlist();
+
+/**
+ * Check a target URL against the protocol and host allowlist
+ */
+function isAllowed(target) {
+  return (target.protocol === 'https:' || target.protocol === 'http:') &&
+    allowlist.has(target.hostname.toLowerCase());
+}
+
+/**
+ * Send a plain-text response with CORS headers
+ */
+function sendText(res, status, message) {
+  res.writeHead(status, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(message);
+}
+
+/**
+ * Read an upstream body, cancelling it once it exceeds MAX_BYTES.
+ * Cancels the stream rather than aborting the request so an oversized
+ * feed is not reported as a timeout.
+ */
+async function readLimitedBody(response) {
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_BYTES) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const chunks = [];
+  let total = 0;
+  let oversize = false;
+
+  // Leaving the loop early cancels the underlying stream
+  for await (const chunk of response.body) {
+    total += chunk.length;
+    if (total > MAX_BYTES) {
+      oversize = true;
+      break;
+    }
+    chunks.push(chunk);
+  }
+
+  return oversize ? null : Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a URL, following redirects one hop at a time so every hop is
+ * checked against the allowlist before a request is sent to it.
+ * Resolves to { response } or { error: [status, message] }.
+ */
+async function fetchAllowed(target, options) {
+  let url = target;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const response = await fetch(url, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || response.status === 304 || !location) {
+      return { response };
+    }
+
+    // Drop the redirect body; only the next hop matters
+    await response.body?.cancel();
+
+    try {
+      url = new URL(location, url);
+    } catch {
+      return { error: [502, 'Upstream sent an invalid redirect'] };
+    }
+
+    if (!isAllowed(url)) {
+      return { error: [403, `Redirected to a host that is not allowed: ${url.hostname}`] };
+    }
+  }
+
+  return { error: [502, `Too many redirects (more than ${MAX_REDIRECTS})`] };
+}
+
+/**
+ * Proxy a single feed request
+ */
+async function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Methods': 'GET, OPTIONS',
+      'Access-Control-Allow-Headers': FORWARD_REQUEST_HEADERS.join(', '),
+      'Access-Control-Max-Age': '86400'
+    });
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    sendText(res, 405, 'Method not allowed');
+    return;
+  }
+
+  const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const rawTarget = requestUrl.searchParams.get('url');
+
+  let target;
+  try {
+    target = new URL(rawTarget);
+  } catch {
+    sendText(res, 400, 'Missing or invalid url parameter');
+    return;
+  }
+
+  if (!isAllowed(target)) {
+    sendText(res, 403, `Host not allowed: ${target.hostname}`);
+    return;
+  }
+
+  const headers = { 'User-Agent': USER_AGENT };
+  FORWARD_REQUEST_HEADERS.forEach(name => {
+    if (req.headers[name]) headers[name] = req.headers[name];
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+
+  try {
+    // Redirects must stay on allowed hosts
+    const { response: upstream, error } = await fetchAllowed(target, { headers, signal: controller.signal });
+    if (error) {
+      sendText(res, ...error);
+      return;
+    }
+
+    const body = upstream.status === 304 ? Buffer.alloc(0) : await readLimitedBody(upstream);
+    if (body === null) {
+      sendText(res, 413, `Feed exceeds ${MAX_BYTES} bytes`);
+      return;
+    }
+
+    const responseHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified'
+    };
+    FORWARD_RESPONSE_HEADERS.forEach(name => {
+      const value = upstream.headers.get(name);
+      if (value) responseHeaders[name] = value;
+    });
+
+    res.writeHead(upstream.status, responseHeaders);
+    res.end(body);
+
+  } catch (error) {
+    const timedOut = error.name === 'AbortError';
+    sendText(res, timedOut ? 504 : 502, timedOut ? 'Upstream timed out' : `Upstream fetch failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('❌ Proxy error:', error);
+    if (!res.headersSent) sendText(res, 500, 'Internal proxy error');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🛰️ NewsStream proxy listening on http://localhost:${PORT}/?url= (${allowlist.size} allowed hosts)`);
+});
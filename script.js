@@ -4,10 +4,11 @@
  * Features:
  * - Progressive loading with performance budgets
  * - Customizable categories (up to 15) and sources (up to 5 per category)
- * - Real-time RSS feed aggregation
+ * - Real-time RSS, Atom and JSON Feed aggregation
  * - WCAG AA accessibility compliance
  * - Apple-inspired minimalist design
  * - Maximum 50 articles total with smart limits
+ * - Offline reading via service worker and stored articles
  * - No empty states or error messages shown to users
  */
 /**
@@ -28,69 +29,156 @@ class NewsStreamApp {
     
     // Application state
     this.currentCategory = 'all';
+    this.activeTag = null;
+    this.activeSourceId = null;
+    
+    // Saved articles (id -> { id, article, collections, savedAt }) and collection names
+    this.savedArticles = new Map();
+    this.collections = [];
+    this.defaultCollection = 'Read later';
+    this.activeCollection = null;
+    this.maxCollectionNameLength = 50;
+    
+    // Read state (id -> read time), first sighting (id -> time) and the last visit, for "new since" markers
+    this.readArticles = new Map();
+    this.firstSeen = new Map();
+    this.readInView = new Set();
+    this.readRetention = 60 * 24 * 60 * 60 * 1000;
+    this.readObserver = null;
+    this.cardsSeenInView = new WeakSet();
+    this.lastVisitTime = this.loadLastVisit();
+    this.newSinceTime = this.lastVisitTime;
     this.articles = [];
     this.allArticles = [];
+    this.mutedArticles = [];
+    this.archivedArticles = [];
     this.isLoading = false;
     this.loadedSources = 0;
     this.totalSources = 0;
     this.lastUpdateTime = null;
     
-    // Content limits
-    this.maxArticles = 100;
+    // Content limits (articles per page/source are display defaults; "Load more" reveals the rest)
+    this.defaultMaxArticles = 100;
+    this.maxArticles = this.defaultMaxArticles;
     this.maxCategoriesUser = 15;
-    this.maxSourcesPerCategory = 5;
-    this.maxArticlesPerSource = 5;
-    
-    // User preferences with localStorage persistence
-    this.userPreferences = this.loadUserPreferences();
-    
-    // Fixed RSS sources with proper URLs
-    this.defaultSources = {
-      breaking: [
-        { id: 'foxnews-breaking', name: 'Fox News', url: 'https://moxie.foxnews.com/google-publisher/latest.xml', verified: true },
-        { id: 'ndtv', name: 'NDTV', url: 'https://feeds.feedburner.com/ndtvnews-india-news', verified: true },
-        { id: 'bbc-breaking', name: 'BBC News', url: 'https://feeds.bbci.co.uk/news/rss.xml', verified: true },
-        { id: 'sky-breaking', name: 'Sky News', url:'https://feeds.skynews.com/feeds/rss/world.xml', verified: true }
-      ],
-      world: [
-        { id: 'bbc-world', name: 'BBC World', url: 'https://feeds.bbci.co.uk/news/world/rss.xml', verified: true },
-        { id: 'foxnews-world', name: 'Fox News', url: 'https://moxie.foxnews.com/google-publisher/world.xml', verified: true},
-        { id: 'guardian-world', name: 'The Guardian', url: 'https://www.theguardian.com/world/rss', verified: true },
-      ],
-      politics: [
-        { id: 'foxnews-politics', name: 'Fox News Politics', url: 'https://moxie.foxnews.com/google-publisher/politics.xml', verified: true },
-        { id: 'npr-politics', name: 'NPR Politics', url: 'https://feeds.npr.org/1014/rss.xml', verified: true },
-        { id: 'hill-politics', name: 'The Hill', url: 'https://thehill.com/rss/syndicator/19109', verified: true }
-      ],
-      business: [
-        { id: 'yahoo-finance', name: 'Yahoo Finance', url: 'https://news.yahoo.com/rss/finance', verified: true },
-        { id: 'marketwatch', name: 'MarketWatch', url: 'https://feeds.marketwatch.com/marketwatch/topstories/', verified: true },
-        { id: 'cnbc-business', name: 'CNBC', url: 'https://www.cnbc.com/id/100003114/device/rss/rss.html', verified: true }
-      ],
-      technology: [
-        { id: 'theverge', name: 'The Verge', url: 'https://www.theverge.com/rss/index.xml', verified: true },
-        { id: 'wired', name: 'Wired', url: 'https://www.wired.com/feed/rss', verified: true },
-        { id: 'arstechnica', name: 'Ars Technica', url: 'https://feeds.arstechnica.com/arstechnica/index', verified: true }
-      ],
-      sports: [
-        { id: 'espn', name: 'ESPN', url: 'https://www.espn.com/espn/rss/news', verified: true },
-        { id: 'bbc-sport', name: 'BBC Sport', url: 'https://feeds.bbci.co.uk/sport/rss.xml', verified: true },
-        { id: 'cbs-sports', name: 'CBS Sports', url: 'https://www.cbssports.com/rss/headlines/', verified: true }
-      ]
+    this.defaultMaxSourcesPerCategory = 5;
+    this.maxSourcesPerCategory = this.defaultMaxSourcesPerCategory;
+    this.maxCustomCategories = 9;
+    this.defaultMaxArticlesPerSource = 5;
+    this.maxArticlesPerSource = this.defaultMaxArticlesPerSource;
+    this.maxItemsPerFeed = 200;
+    
+    // How far "Load more" has revealed the current view
+    this.revealedCount = this.maxArticles;
+    this.revealedDepth = this.maxArticlesPerSource;
+    this.loadMoreObserver = null;
+    
+    // CORS proxy chain, tried in order ('direct' fetches without a proxy)
+    this.defaultProxies = ['https://api.allorigins.win/raw?url='];
+    
+    // IndexedDB feed cache
+    this.dbName = 'newsstream';
+    this.dbVersion = 6;
+    this.dbPromise = null;
+    
+    // Per-source health records (feed diagnostics)
+    this.sourceHealth = this.loadSourceHealth();
+    this.healthFailureThreshold = 3;
+    
+    // Source catalog (populated from catalog JSON files, see loadSourceCatalog)
+    this.catalogVersion = 1;
+    this.defaultCatalogUrls = ['catalog/sources.json'];
+    this.sourceCatalog = { categories: {}, sources: [], replaced: {}, removed: {} };
+    this.catalogComplete = false;
+    this.defaultSources = {};
+    this.categoryMetadata = {};
+    this.catalogChanges = [];
+    
+    // User preferences with localStorage persistence (loaded in init, after the catalog)
+    this.preferencesVersion = 2;
+    this.preferenceIssues = [];
+    this.userPreferences = this.getDefaultPreferences();
+    
+    // Fetch scheduler
+    this.fetchConcurrency = 4;
+    this.fetchTimeout = 15000;
+    this.fetchRetries = 2;
+    this.retryBaseDelay = 1000;
+    this.loadController = null;
+    
+    // XML namespaces used by feed extensions
+    this.feedNamespaces = {
+      atom: 'http://www.w3.org/2005/Atom',
+      content: 'http://purl.org/rss/1.0/modules/content/',
+      dc: 'http://purl.org/dc/elements/1.1/',
+      media: 'http://search.yahoo.com/mrss/',
+      itunes: 'http://www.itunes.com/dtds/podcast-1.0.dtd'
     };
     
-    // Category metadata
-    this.categoryMetadata = {
-      breaking: { name: 'Breaking News', icon: 'exclamation-circle', color: 'danger' },
-      world: { name: 'World', icon: 'globe-alt', color: 'primary' },
-      politics: { name: 'Politics', icon: 'library', color: 'secondary' },
-      business: { name: 'Business', icon: 'briefcase', color: 'success' },
-      technology: { name: 'Technology', icon: 'desktop-computer', color: 'primary' },
-      sports: { name: 'Sports', icon: 'lightning-bolt', color: 'warning' }
+    // Date parsing: RFC 822 month names and named zones (minutes east of UTC)
+    this.monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    this.timeZoneOffsets = {
+      UT: 0, UTC: 0, GMT: 0, Z: 0,
+      EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+      AKST: -540, AKDT: -480, HST: -600,
+      WET: 0, WEST: 60, BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180, MSK: 180,
+      IST: 330, SGT: 480, HKT: 480, JST: 540, KST: 540,
+      AEST: 600, AEDT: 660, ACST: 570, AWST: 480, NZST: 720, NZDT: 780
     };
     
-    // CORS proxy for RSS feeds
-    this.corsProxy = 'https://api.allorigins.win/raw?url=';
+    // Images: smallest declared size kept, og:image lookups (opt-in)
+    this.minImageSize = 100;
+    this.maxPageImageLookups = 20;
+    this.pageImageConcurrency = 2;
+    this.pageImageCacheTtl = 7 * 24 * 60 * 60 * 1000;
+    
+    // Article identity: bump the version when id derivation changes (invalidates cached feeds)
+    this.articleIdVersion = 2;
+    this.trackingParams = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|_ga|_gl|igshid|ocid|cmpid|ncid|sr_share|at_medium|at_campaign)$/i;
+    
+    // Full-text search: inverted index filled in chunks between frames
+    this.searchQuery = '';
+    this.parsedSearch = null;
+    this.searchMatches = null;
+    this.searchPattern = null;
+    this.searchTimer = null;
+    this.searchDebounceDelay = 150;
+    this.searchIndexChunkSize = 100;
+    this.searchIndexing = false;
+    this.searchFields = { title: 1, summary: 2, author: 4, source: 8 };
+    this.resetSearchIndex();
+    
+    // Mute keywords (compiled lazily from preferences)
+    this.compiledMuteKeywords = [];
+    this.compiledMuteSignature = null;
+    
+    // Keyword-rule custom categories (compiled when preferences are loaded or a rule is saved)
+    this.compiledCategoryRules = [];
+    this.articleCategoryCache = new WeakMap();
+    this.maxRuleTerms = 50;
+    
+    // Story clustering: Jaccard threshold (0 = off), MinHash/LSH shape, time window
+    this.defaultClusterThreshold = 0.5;
+    this.minHashSize = 32;
+    this.minHashBands = 16;
+    this.clusterWindow = 48 * 60 * 60 * 1000;
+    this.tokenCache = new WeakMap();
+    this.bandKeyCache = new WeakMap();
+    this.stopWords = new Set([
+      'the', 'and', 'for', 'with', 'from', 'that', 'this', 'are', 'was', 'were', 'has', 'have', 'had',
+      'its', 'his', 'her', 'their', 'they', 'will', 'would', 'can', 'could', 'not', 'but', 'after',
+      'over', 'into', 'about', 'out', 'new', 'says', 'said', 'who', 'what', 'how', 'why', 'when',
+      'than', 'more', 'been', 'being', 'also', 'just', 'you', 'your', 'our', 'all', 'one', 'two',
+      'of', 'to', 'in', 'on', 'at', 'by', 'as', 'is', 'it', 'an', 'or', 'be', 'up', 'us', 'we', 'he', 'she'
+    ]);
+    
+    // HTML allowed in rendered feed summaries; dropped tags lose their content too
+    this.allowedHtmlTags = new Set(['a', 'p', 'br', 'em', 'strong', 'b', 'i', 'u', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre']);
+    this.droppedHtmlTags = new Set(['script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'form', 'button', 'select', 'textarea', 'svg', 'math', 'head', 'title']);
+    this.maxSummaryHtmlLength = 2000;
+    
+    // Paths probed when a page has no <link rel="alternate"> feeds
+    this.commonFeedPaths = ['/feed', '/rss.xml', '/atom.xml', '/feed.xml', '/rss', '/index.xml'];
     
     // Rate limiting
     this.lastFetchTime = 0;
@@ -110,6 +198,12 @@ class NewsStreamApp {
       // Hide all error/empty states immediately
       this.hideAllEmptyStates();
       
+      // Load the source catalog, then validate preferences against it
+      await this.loadSourceCatalog(this.getCatalogUrls(this.readStoredPreferences()?.catalogUrls));
+      this.userPreferences = this.loadUserPreferences();
+      this.applyPreferenceLimits();
+      this.compileCategoryRules();
+      
       // Setup event listeners
       this.setupEventListeners();
       
@@ -119,7 +213,32 @@ class NewsStreamApp {
       // Update UI with user preferences
       this.updateActiveSourcesDisplay();
       
-      // Start progressive news loading
+      if (this.catalogChanges.length > 0) {
+        this.showNotification(`Source catalog changed: ${this.catalogChanges.join('; ')}`, 'warning');
+      }
+      
+      if (this.preferenceIssues.length > 0) {
+        this.showNotification(`Removed ${this.preferenceIssues.length} outdated settings entries`, 'warning');
+      }
+      
+      // Persist the cleaned-up preferences so notices are shown once (never
+      // against an incomplete catalog, which could lose sources for good)
+      if (this.catalogComplete && (this.catalogChanges.length > 0 || this.preferenceIssues.length > 0)) {
+        this.saveUserPreferences();
+      }
+      
+      // Saved articles are independent of the feeds, so they're available right away
+      await this.loadSavedArticles();
+      await this.loadReadState();
+      
+      // Offline start: show the last stored articles and wait for the connection
+      if (!navigator.onLine) {
+        await this.renderOfflineSnapshot();
+        return;
+      }
+      
+      // Show cached articles instantly, then refresh from the network
+      await this.renderCachedArticles();
       await this.startProgressiveLoading();
       
       console.log('✅ NewsStream initialized successfully');
@@ -154,1517 +273,6526 @@ class NewsStreamApp {
    * Load user preferences from localStorage with defaults
    */
   loadUserPreferences() {
-    const defaults = {
-      categories: ['breaking', 'world', 'business', 'technology'],
-      sources: {
-        breaking: ['foxnews-breaking', 'ap-breaking'],
-        world: ['bbc-world', 'foxnews-world'],
-        business: ['yahoo-finance', 'businessnewsstandard-business'],
-        technology: ['techcrunch', 'theverge']
-      },
-      customCategories: [],
-      customSources: {}
-    };
+    const stored = this.readStoredPreferences();
     
-    try {
-      const saved = localStorage.getItem('newsstream-preferences');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        return { ...defaults, ...parsed };
+    if (stored) {
+      try {
+        const { preferences, dropped, catalogChanges } = this.restorePreferences(stored);
+        
+        if (dropped.length > 0) {
+          console.warn('⚠️ Dropped invalid preference entries:', dropped);
+        }
+        
+        this.preferenceIssues = dropped;
+        this.catalogChanges = catalogChanges;
+        return preferences;
+      } catch (error) {
+        console.warn('Failed to restore preferences:', error);
       }
-    } catch (error) {
-      console.warn('Failed to load preferences from localStorage:', error);
     }
     
-    return defaults;
+    return this.getDefaultPreferences();
   }
   
   /**
-   * Save user preferences to localStorage
+   * Read raw stored preferences, falling back to the backup taken before the
+   * last save if the current copy is corrupt
    */
-  saveUserPreferences() {
-    try {
-      localStorage.setItem('newsstream-preferences', JSON.stringify(this.userPreferences));
-      console.log('💾 Preferences saved successfully');
-    } catch (error) {
-      console.error('Failed to save preferences:', error);
-      this.showNotification('Failed to save preferences', 'error');
+  readStoredPreferences() {
+    for (const key of ['newsstream-preferences', 'newsstream-preferences-backup']) {
+      try {
+        const saved = localStorage.getItem(key);
+        if (saved) {
+          return JSON.parse(saved);
+        }
+      } catch (error) {
+        console.warn(`Failed to load preferences from localStorage (${key}):`, error);
+      }
     }
+    
+    return null;
   }
   
   /**
-   * Setup all event listeners with performance timing
+   * Load and merge the source catalogs. When one fails, the last merged copy
+   * fills in for it (catalog/sources.json itself is also served by the service
+   * worker when offline). Resolves to this.catalogComplete: false means a
+   * catalog failed with nothing cached, so unknown sources may just be missing
+   * and must not be dropped.
    */
-  setupEventListeners() {
-    // Refresh button
-    document.getElementById('refreshBtn').addEventListener('click', (e) => {
-      this.trackInteractionTime('refresh-click', () => {
-        this.refreshNews();
-      });
+  async loadSourceCatalog(urls = this.getCatalogUrls()) {
+    const results = await Promise.allSettled(urls.map(url => this.fetchCatalog(url)));
+    
+    const catalogs = [];
+    let failed = false;
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        catalogs.push(result.value);
+      } else {
+        failed = true;
+        console.warn(`⚠️ Failed to load source catalog ${urls[index]}:`, result.reason);
+      }
     });
     
-    // Settings modal controls
-    document.getElementById('settingsBtn').addEventListener('click', (e) => {
-      this.trackInteractionTime('settings-open', () => {
-        this.openSettings();
-      });
-    });
+    let cached = null;
+    if (failed) {
+      try {
+        cached = JSON.parse(localStorage.getItem('newsstream-catalog'));
+      } catch (error) {
+        console.warn('Failed to read cached source catalog:', error);
+      }
+      if (!Array.isArray(cached?.sources)) cached = null;
+    }
     
-    document.getElementById('closeSettings').addEventListener('click', () => {
-      this.closeSettings();
-    });
+    // Fresh catalogs override the cached merge (or, with no cache, the catalog already loaded)
+    const fallback = failed ? cached || this.sourceCatalog : null;
+    const catalog = this.mergeCatalogs([...(fallback ? [fallback] : []), ...catalogs]);
     
-    document.getElementById('cancelSettings').addEventListener('click', () => {
-      this.closeSettings();
-    });
+    if (!failed) {
+      try {
+        localStorage.setItem('newsstream-catalog', JSON.stringify(catalog));
+      } catch (error) {
+        console.warn('Failed to cache source catalog:', error);
+      }
+    }
     
-    document.getElementById('saveSettings').addEventListener('click', () => {
-      this.saveSettings();
-    });
+    this.catalogComplete = !failed || !!cached;
+    this.applySourceCatalog(catalog);
+    console.log(`📚 Source catalog: ${this.sourceCatalog.sources.length} sources in ${Object.keys(this.categoryMetadata).length} categories${this.catalogComplete ? '' : ' (incomplete)'}`);
     
-    document.getElementById('resetSettings').addEventListener('click', () => {
-      this.resetSettings();
-    });
+    return this.catalogComplete;
+  }
+  
+  /**
+   * Get valid catalog URLs (from preferences by default), falling back to the bundled catalog
+   */
+  getCatalogUrls(configured = this.userPreferences.catalogUrls) {
+    const urls = (Array.isArray(configured) ? configured : []).filter(url => this.isValidCatalogUrl(url));
+    return urls.length > 0 ? urls : this.defaultCatalogUrls;
+  }
+  
+  /**
+   * Validate a catalog URL (same-origin path or https URL)
+   */
+  isValidCatalogUrl(url) {
+    if (typeof url !== 'string' || !url.trim()) return false;
     
-    // Custom category and source management
-    document.getElementById('addCategoryBtn').addEventListener('click', () => {
-      this.addCustomCategory();
+    try {
+      const urlObj = new URL(url, window.location.href);
+      return urlObj.protocol === 'https:' || urlObj.origin === window.location.origin;
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Fetch and validate one catalog file
+   */
+  async fetchCatalog(url) {
+    const response = await this.fetchWithTimeout(new URL(url, window.location.href).toString(), {
+      headers: { 'Accept': 'application/json' }
     });
     
-    document.getElementById('addSourceBtn').addEventListener('click', () => {
-      this.addCustomSource();
-    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
     
-    // Modal overlay click to close
-    document.getElementById('settingsModal').addEventListener('click', (e) => {
-      if (e.target === e.currentTarget) {
-        this.closeSettings();
-      }
-    });
+    const data = await response.json();
     
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeSettings();
+    if (!Number.isInteger(data?.version) || data.version > this.catalogVersion) {
+      throw new Error(`Unsupported catalog version ${JSON.stringify(data?.version)}`);
+    }
+    
+    if (!Array.isArray(data.sources)) {
+      throw new Error('Catalog has no sources array');
+    }
+    
+    const sources = data.sources.filter(entry => {
+      const valid = entry && typeof entry.id === 'string' && typeof entry.name === 'string' &&
+        typeof entry.category === 'string' && typeof entry.url === 'string' && entry.url.startsWith('https://');
+      if (!valid) {
+        console.warn(`Skipping invalid catalog entry in ${url}:`, entry);
       }
+      return valid;
     });
     
-    // Setup initial category listeners
-    this.setupCategoryListeners();
-    
-    console.log('🎧 Event listeners setup complete');
+    return {
+      categories: data.categories || {},
+      sources,
+      replaced: data.replaced || {},
+      removed: data.removed || {}
+    };
   }
   
   /**
-   * Setup category navigation listeners (works for both built-in and custom)
+   * Merge catalogs in order; later catalogs override earlier entries by id
    */
-  setupCategoryListeners() {
-    document.querySelectorAll('.category-tab').forEach(tab => {
-      // Remove existing listeners to prevent duplicates
-      const newTab = tab.cloneNode(true);
-      tab.parentNode.replaceChild(newTab, tab);
-      
-      newTab.addEventListener('click', (e) => {
-        this.trackInteractionTime('category-switch', () => {
-          const category = e.currentTarget.dataset.category;
-          this.switchCategory(category);
-        });
+  mergeCatalogs(catalogs) {
+    const merged = { categories: {}, sources: [], replaced: {}, removed: {} };
+    const sourcesById = new Map();
+    
+    catalogs.forEach(catalog => {
+      Object.entries(catalog.categories).forEach(([key, metadata]) => {
+        merged.categories[key] = { ...merged.categories[key], ...metadata };
       });
       
-      // Keyboard accessibility
-      newTab.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          e.currentTarget.click();
-        }
+      // Removing or replacing a source drops it from earlier catalogs (e.g. the cached merge)
+      Object.keys({ ...catalog.replaced, ...catalog.removed }).forEach(id => sourcesById.delete(id));
+      
+      catalog.sources.forEach(entry => {
+        sourcesById.set(entry.id, { ...sourcesById.get(entry.id), ...entry });
       });
+      
+      Object.assign(merged.replaced, catalog.replaced);
+      Object.assign(merged.removed, catalog.removed);
+    });
+    
+    // A source listed again is no longer removed
+    sourcesById.forEach((entry, id) => {
+      delete merged.removed[id];
+      delete merged.replaced[id];
     });
+    
+    merged.sources = Array.from(sourcesById.values());
+    return merged;
   }
   
   /**
-   * Setup performance monitoring and budget enforcement
+   * Build defaultSources and categoryMetadata from a merged catalog
    */
-  setupPerformanceMonitoring() {
-    if ('PerformanceObserver' in window) {
-      const observer = new PerformanceObserver((list) => {
-        const entries = list.getEntries();
-        entries.forEach(entry => {
-          if (entry.duration > 50) {
-            console.warn(`⚠️ Long task detected: ${entry.duration}ms`);
-          }
-        });
-      });
+  applySourceCatalog(catalog) {
+    this.sourceCatalog = catalog;
+    this.categoryMetadata = {};
+    this.defaultSources = {};
+    
+    Object.entries(catalog.categories).forEach(([key, metadata]) => {
+      this.categoryMetadata[key] = {
+        name: metadata.name || key,
+        icon: metadata.icon || 'newspaper',
+        color: metadata.color || 'primary',
+        description: metadata.description || ''
+      };
+    });
+    
+    catalog.sources.forEach(entry => {
+      const { category, ...source } = entry;
       
-      try {
-        observer.observe({ entryTypes: ['longtask'] });
-      } catch (error) {
-        // Longtask not supported, continue silently
+      if (!this.categoryMetadata[category]) {
+        this.categoryMetadata[category] = { name: category.charAt(0).toUpperCase() + category.slice(1), icon: 'newspaper', color: 'primary', description: '' };
       }
-    }
-    
-    console.log('📊 Performance monitoring active');
+      
+      if (!this.defaultSources[category]) {
+        this.defaultSources[category] = [];
+      }
+      
+      this.defaultSources[category].push({ verified: false, ...source });
+    });
   }
   
   /**
-   * Track interaction timing for performance budgets
+   * Get the display name of a source id from the catalog (including removed ones)
    */
-  trackInteractionTime(action, callback) {
-    const startTime = performance.now();
-    this.performanceMetrics.lastInteraction = startTime;
-    
-    try {
-      const result = callback();
-      
-      if (result instanceof Promise) {
-        result.finally(() => {
-          const duration = performance.now() - startTime;
-          this.logPerformanceMetric(action, duration);
-        });
-      } else {
-        const duration = performance.now() - startTime;
-        this.logPerformanceMetric(action, duration);
-      }
-      
-      return result;
-    } catch (error) {
-      const duration = performance.now() - startTime;
-      this.logPerformanceMetric(action, duration, error);
-      throw error;
-    }
+  getCatalogSourceName(id) {
+    const entry = this.sourceCatalog.sources.find(source => source.id === id);
+    return entry ? entry.name : (this.sourceCatalog.removed[id] || id);
   }
   
   /**
-   * Log performance metrics and check budgets
+   * Default preferences for a new user
    */
-  logPerformanceMetric(action, duration, error = null) {
-    const budgets = {
-      'refresh-click': this.performanceMetrics.feedbackBudget,
-      'settings-open': this.performanceMetrics.feedbackBudget,
-      'category-switch': this.performanceMetrics.feedbackBudget,
-      'news-load': this.performanceMetrics.loadingBudget
+  getDefaultPreferences() {
+    return {
+      version: this.preferencesVersion,
+      categories: ['breaking', 'world', 'business', 'technology'],
+      sources: {
+        breaking: ['foxnews-breaking', 'bbc-breaking'],
+        world: ['bbc-world', 'foxnews-world'],
+        business: ['yahoo-finance', 'marketwatch'],
+        technology: ['theverge', 'arstechnica']
+      },
+      customCategories: [],
+      customSources: {},
+      proxies: [...this.defaultProxies],
+      catalogUrls: [...this.defaultCatalogUrls],
+      fetchPageImages: false,
+      articlesPerPage: this.defaultMaxArticles,
+      articlesPerSource: this.defaultMaxArticlesPerSource,
+      infiniteScroll: false,
+      markReadOnScroll: false,
+      unreadOnly: false,
+      clusterThreshold: this.defaultClusterThreshold,
+      categoryRules: {},
+      muteRules: { keywords: [], sources: [], domains: [] }
     };
-    
-    const budget = budgets[action] || this.performanceMetrics.feedbackBudget;
-    const status = duration <= budget ? '✅' : '⚠️';
-    
-    console.log(`${status} ${action}: ${duration.toFixed(2)}ms (budget: ${budget}ms)`);
-    
-    if (duration > budget) {
-      console.warn(`Performance budget exceeded for ${action}`);
+  }
+  
+  /**
+   * Migrate stored preferences to the current version and validate them
+   */
+  restorePreferences(stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+      throw new Error('Preferences must be a JSON object');
     }
     
-    if (error) {
-      console.error(`Error in ${action}:`, error);
-    }
+    const migrated = this.migratePreferences(stored);
+    return this.validatePreferences({ ...this.getDefaultPreferences(), ...migrated });
   }
   
   /**
-   * Switch active category with performance tracking
+   * Apply migration steps until preferences reach the current version
    */
-  switchCategory(category) {
-    if (this.currentCategory === category) return;
+  migratePreferences(stored) {
+    const migrations = {
+      // v1 (unversioned): replace source ids that were removed from defaultSources
+      1: (prefs) => {
+        const replacements = {
+          'ap-breaking': 'bbc-breaking',
+          'techcrunch': 'arstechnica',
+          'businessnewsstandard-business': 'marketwatch'
+        };
+        
+        const sources = {};
+        Object.entries(prefs.sources || {}).forEach(([category, ids]) => {
+          sources[category] = Array.isArray(ids)
+            ? [...new Set(ids.map(id => replacements[id] || id))]
+            : ids;
+        });
+        
+        return { ...prefs, sources, version: 2 };
+      }
+    };
     
-    console.log(`🔄 Switching to category: ${category}`);
+    let prefs = { ...stored, version: Number.isInteger(stored.version) ? stored.version : 1 };
     
-    this.currentCategory = category;
-    this.updateCategoryUI(category);
-    this.filterAndDisplayArticles();
+    if (prefs.version > this.preferencesVersion) {
+      console.warn(`Preferences version ${prefs.version} is newer than supported ${this.preferencesVersion}`);
+    }
     
-    // Update URL without navigation (for bookmarking)
-    if (history.replaceState) {
-      const url = new URL(window.location);
-      url.searchParams.set('category', category);
-      history.replaceState(null, '', url);
+    while (prefs.version < this.preferencesVersion) {
+      const migrate = migrations[prefs.version];
+      if (!migrate) {
+        throw new Error(`No migration from preferences version ${prefs.version}`);
+      }
+      
+      console.log(`🔧 Migrating preferences from v${prefs.version}`);
+      prefs = migrate(prefs);
     }
+    
+    return prefs;
   }
   
   /**
-   * Update category navigation UI
+   * Validate preferences against the schema, dropping unknown or invalid entries.
+   * Returns the cleaned preferences and a list of what was dropped.
    */
-  updateCategoryUI(activeCategory) {
-    document.querySelectorAll('.category-tab').forEach(tab => {
-      const isActive = tab.dataset.category === activeCategory;
-      tab.classList.toggle('category-tab--active', isActive);
-      tab.setAttribute('aria-pressed', isActive);
+  validatePreferences(prefs) {
+    const dropped = [];
+    const isString = value => typeof value === 'string' && value.trim().length > 0;
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    const knownKeys = Object.keys(this.getDefaultPreferences()).concat(['maxSourcesPerCategory']);
+    
+    Object.keys(prefs).forEach(key => {
+      if (!knownKeys.includes(key)) {
+        dropped.push(`unknown setting "${key}"`);
+      }
     });
-  }
-  
-  /**
-   * Start progressive loading of news articles
-   */
-  async startProgressiveLoading() {
-    if (this.isLoading) return;
     
-    const startTime = performance.now();
-    this.isLoading = true;
+    // Custom categories: unique names that don't shadow built-in categories
+    const customCategories = [];
+    (Array.isArray(prefs.customCategories) ? prefs.customCategories : []).forEach(name => {
+      const key = isString(name) ? this.normalizeCategoryKey(name) : '';
+      if (!key || name.length > 50 || this.categoryMetadata[key] ||
+          customCategories.some(existing => this.normalizeCategoryKey(existing) === key)) {
+        dropped.push(`custom category ${JSON.stringify(name)}`);
+      } else if (customCategories.length >= this.maxCustomCategories) {
+        dropped.push(`custom category "${name}" (limit ${this.maxCustomCategories})`);
+      } else {
+        customCategories.push(name.trim());
+      }
+    });
     
-    try {
-      this.updateProgressBar(0);
-      this.updateLoadingStatus('Initializing news sources...');
+    const customKeys = customCategories.map(name => this.normalizeCategoryKey(name));
+    // With an incomplete catalog, unknown entries may just be missing from it: keep them
+    const isKnownCategory = key => !!this.categoryMetadata[key] || customKeys.includes(key) || !this.catalogComplete;
+    
+    // Selected categories
+    const categories = [];
+    (Array.isArray(prefs.categories) ? prefs.categories : []).forEach(key => {
+      if (!isString(key) || !isKnownCategory(key)) {
+        dropped.push(`category ${JSON.stringify(key)}`);
+      } else if (!categories.includes(key) && categories.length < this.maxCategoriesUser) {
+        categories.push(key);
+      }
+    });
+    
+    // Raised source limit (OPML import)
+    let maxSourcesPerCategory;
+    if (prefs.maxSourcesPerCategory !== undefined) {
+      const limit = prefs.maxSourcesPerCategory;
+      if (Number.isInteger(limit) && limit > this.defaultMaxSourcesPerCategory && limit <= 50) {
+        maxSourcesPerCategory = limit;
+      } else if (limit !== this.defaultMaxSourcesPerCategory) {
+        dropped.push(`source limit ${JSON.stringify(limit)}`);
+      }
+    }
+    const sourceLimit = maxSourcesPerCategory || this.defaultMaxSourcesPerCategory;
+    
+    // Selected built-in sources must exist in defaultSources for their category;
+    // sources the catalog replaced or removed are reported as catalog changes
+    const sources = {};
+    const catalogChanges = [];
+    Object.entries(isObject(prefs.sources) ? prefs.sources : {}).forEach(([category, ids]) => {
+      const available = (this.defaultSources[category] || []).map(source => source.id);
+      const valid = [];
       
-      // Get active sources based on user preferences
-      const activeSources = this.getActiveSources();
-      this.totalSources = activeSources.length;
+      (Array.isArray(ids) ? ids : []).forEach(id => {
+        const replacement = this.sourceCatalog.replaced[id];
+        
+        if (!available.includes(id) && available.includes(replacement)) {
+          catalogChanges.push(`${this.getCatalogSourceName(id)} was replaced by ${this.getCatalogSourceName(replacement)}`);
+          id = replacement;
+        }
+        
+        if (!available.includes(id) && !this.catalogComplete) {
+          if (!valid.includes(id)) valid.push(id);
+        } else if (!available.includes(id)) {
+          if (this.sourceCatalog.removed[id]) {
+            catalogChanges.push(`${this.sourceCatalog.removed[id]} was removed from the catalog`);
+          } else {
+            dropped.push(`source "${id}" in ${category}`);
+          }
+        } else if (!valid.includes(id)) {
+          valid.push(id);
+        }
+      });
       
-      if (this.totalSources === 0) {
-        console.log('No active sources configured');
+      if (valid.length > 0) {
+        sources[category] = valid.slice(0, sourceLimit);
+      }
+    });
+    
+    // Custom sources need a name, an https URL and a known category
+    const customSources = {};
+    Object.entries(isObject(prefs.customSources) ? prefs.customSources : {}).forEach(([category, list]) => {
+      if (!isKnownCategory(category)) {
+        dropped.push(`custom sources in unknown category "${category}"`);
         return;
       }
       
-      console.log(`📡 Loading news from ${this.totalSources} sources`);
-      
-      // Reset articles
-      this.allArticles = [];
-      this.loadedSources = 0;
-      
-      // Progressive loading with small delays to prevent blocking
-      const loadPromises = activeSources.map((source, index) => 
-        this.loadSourceWithDelay(source, index * 200)
-      );
-      
-      // Wait for all sources to complete
-      await Promise.allSettled(loadPromises);
+      const valid = [];
+      (Array.isArray(list) ? list : []).forEach((source, index) => {
+        const url = isObject(source) && isString(source.url) ? source.url.trim() : '';
+        if (!isString(source?.name) || !url.startsWith('https://') || !this.sanitizeUrl(url)) {
+          dropped.push(`custom source ${JSON.stringify(source?.name || source?.url || index)} in ${category}`);
+          return;
+        }
+        
+        valid.push({
+          id: isString(source.id) ? source.id : `custom-${Date.now()}-${index}`,
+          name: source.name.trim().substring(0, 50),
+          url,
+          verified: false,
+          isCustom: true
+        });
+      });
       
-      // Process and display articles
-      this.processAllArticles();
-      this.updateCategoryButtons();
-      this.filterAndDisplayArticles();
+      if (valid.length > 0) {
+        customSources[category] = valid;
+      }
+    });
+    
+    // Keyword rules belong to custom categories; every term must compile
+    const categoryRules = {};
+    Object.entries(isObject(prefs.categoryRules) ? prefs.categoryRules : {}).forEach(([category, rule]) => {
+      if (!customKeys.includes(category) || !isObject(rule)) {
+        dropped.push(`rules for unknown category "${category}"`);
+        return;
+      }
       
-      this.lastUpdateTime = new Date();
-      this.updateLastUpdatedTime();
+      const readTerms = list => (Array.isArray(list) ? list : []).filter(term => {
+        const valid = isString(term) && term.length <= 200 && !!this.parseRuleTerm(term);
+        if (!valid) dropped.push(`rule term ${JSON.stringify(term)} in ${category}`);
+        return valid;
+      }).slice(0, this.maxRuleTerms);
       
-      const duration = performance.now() - startTime;
-      this.logPerformanceMetric('news-load', duration);
+      const validRule = {
+        include: readTerms(rule.include),
+        exclude: readTerms(rule.exclude),
+        sources: (Array.isArray(rule.sources) ? rule.sources : []).filter(isString)
+      };
       
-      if (this.allArticles.length > 0) {
-        this.showNotification(`Loaded ${this.allArticles.length} articles from ${this.totalSources} sources`, 'success');
+      if (validRule.include.length > 0 || validRule.exclude.length > 0 || validRule.sources.length > 0) {
+        categoryRules[category] = validRule;
+      }
+    });
+    
+    // Mute rules: compilable keywords, source ids (optionally per category) and bare domains
+    const muteInput = isObject(prefs.muteRules) ? prefs.muteRules : {};
+    const muteRules = {
+      keywords: (Array.isArray(muteInput.keywords) ? muteInput.keywords : []).filter(term => {
+        const valid = isString(term) && term.length <= 200 && !!this.parseRuleTerm(term);
+        if (!valid) dropped.push(`mute keyword ${JSON.stringify(term)}`);
+        return valid;
+      }),
+      sources: (Array.isArray(muteInput.sources) ? muteInput.sources : []).filter(rule => {
+        const valid = isObject(rule) && isString(rule.sourceId) &&
+          (rule.category === null || rule.category === undefined || isString(rule.category));
+        if (!valid) dropped.push(`muted source ${JSON.stringify(rule)}`);
+        return valid;
+      }).map(rule => ({ sourceId: rule.sourceId, category: rule.category || null })),
+      domains: (Array.isArray(muteInput.domains) ? muteInput.domains : []).filter(domain => {
+        const valid = this.isValidMuteDomain(domain);
+        if (!valid) dropped.push(`muted domain ${JSON.stringify(domain)}`);
+        return valid;
+      })
+    };
+    
+    // Proxy chain
+    const proxies = (Array.isArray(prefs.proxies) ? prefs.proxies : []).filter(proxy => {
+      const valid = isString(proxy) && this.isValidProxy(proxy);
+      if (!valid) dropped.push(`proxy ${JSON.stringify(proxy)}`);
+      return valid;
+    });
+    
+    ['fetchPageImages', 'infiniteScroll', 'markReadOnScroll', 'unreadOnly'].forEach(key => {
+      if (prefs[key] !== undefined && typeof prefs[key] !== 'boolean') {
+        dropped.push(`setting "${key}" ${JSON.stringify(prefs[key])}`);
+      }
+    });
+    
+    // Display limits
+    const readLimit = (key, min, max, fallback) => {
+      const value = prefs[key];
+      if (Number.isInteger(value) && value >= min && value <= max) return value;
+      if (value !== undefined) dropped.push(`setting "${key}" ${JSON.stringify(value)}`);
+      return fallback;
+    };
+    const articlesPerPage = readLimit('articlesPerPage', 10, 500, this.defaultMaxArticles);
+    const articlesPerSource = readLimit('articlesPerSource', 1, 100, this.defaultMaxArticlesPerSource);
+    
+    // Story clustering threshold: 0 turns it off
+    let clusterThreshold = this.defaultClusterThreshold;
+    if (prefs.clusterThreshold !== undefined) {
+      const value = prefs.clusterThreshold;
+      if (value === 0 || (typeof value === 'number' && value >= 0.2 && value <= 0.95)) {
+        clusterThreshold = value;
+      } else {
+        dropped.push(`setting "clusterThreshold" ${JSON.stringify(value)}`);
       }
-      
-    } catch (error) {
-      console.error('❌ Failed to load news:', error);
-    } finally {
-      this.isLoading = false;
-      this.updateProgressBar(100);
-      setTimeout(() => this.updateProgressBar(0), 1000);
     }
+    
+    // Catalog URLs
+    const catalogUrls = (Array.isArray(prefs.catalogUrls) ? prefs.catalogUrls : []).filter(url => {
+      const valid = this.isValidCatalogUrl(url);
+      if (!valid) dropped.push(`catalog URL ${JSON.stringify(url)}`);
+      return valid;
+    });
+    
+    const preferences = {
+      version: this.preferencesVersion,
+      categories: categories.length > 0 ? categories : this.getDefaultPreferences().categories,
+      sources,
+      customCategories,
+      customSources,
+      proxies: proxies.length > 0 ? proxies : [...this.defaultProxies],
+      catalogUrls: catalogUrls.length > 0 ? catalogUrls : [...this.defaultCatalogUrls],
+      fetchPageImages: prefs.fetchPageImages === true,
+      articlesPerPage,
+      articlesPerSource,
+      infiniteScroll: prefs.infiniteScroll === true,
+      markReadOnScroll: prefs.markReadOnScroll === true,
+      unreadOnly: prefs.unreadOnly === true,
+      clusterThreshold,
+      categoryRules,
+      muteRules
+    };
+    
+    if (maxSourcesPerCategory) {
+      preferences.maxSourcesPerCategory = maxSourcesPerCategory;
+    }
+    
+    return { preferences, dropped, catalogChanges };
   }
   
   /**
-   * Load source with delay for progressive enhancement
+   * Download the full preferences as a JSON backup
    */
-  async loadSourceWithDelay(source, delay) {
-    if (delay > 0) {
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
+  exportPreferences() {
+    const backup = {
+      app: 'newsstream',
+      exportedAt: new Date().toISOString(),
+      preferences: this.userPreferences
+    };
     
-    return this.loadSingleSource(source);
+    this.downloadFile(JSON.stringify(backup, null, 2), 'newsstream-preferences.json', 'application/json');
+    this.showNotification('Exported settings as JSON', 'success');
   }
   
   /**
-   * Load articles from a single RSS source
+   * Restore preferences from a JSON backup file (applied to the settings modal)
    */
-  async loadSingleSource(source) {
+  async importPreferencesFile(file) {
     try {
-      this.updateLoadingStatus(`Loading ${source.name}...`);
-      
-      const response = await fetch(`${this.corsProxy}${encodeURIComponent(source.url)}`, {
-        headers: {
-          'Accept': 'application/rss+xml, application/xml, text/xml'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+      const parsed = JSON.parse(await file.text());
+      const stored = parsed && parsed.app === 'newsstream' ? parsed.preferences : parsed;
+      const { preferences, dropped } = this.restorePreferences(stored);
       
-      const xmlText = await response.text();
-      const articles = this.parseRSSFeed(xmlText, source);
+      this.userPreferences = preferences;
+      this.applyPreferenceLimits();
+      this.compileCategoryRules();
+      this.populateSettingsModal();
       
-      if (articles.length > 0) {
-        const limitedArticles = articles.slice(0, this.maxArticlesPerSource);
-        this.allArticles.push(...limitedArticles);
-        
-        console.log(`📰 Loaded ${limitedArticles.length} articles from ${source.name}`);
+      if (dropped.length > 0) {
+        this.renderImportReport({
+          added: [],
+          duplicates: [],
+          skipped: dropped.map(entry => ({ name: entry, reason: 'invalid or unknown' })),
+          createdCategories: []
+        }, 'prefsReport');
+        this.showNotification(`Settings restored; ${dropped.length} invalid entries dropped. Save & Apply to keep them.`, 'warning');
+      } else {
+        this.showNotification('Settings restored. Save & Apply to keep them.', 'success');
       }
-      
-      this.loadedSources++;
-      this.updateProgressBar((this.loadedSources / this.totalSources) * 100);
-      
-      return articles;
-      
     } catch (error) {
-      console.error(`❌ Failed to load ${source.name}:`, error);
-      this.loadedSources++;
-      this.updateProgressBar((this.loadedSources / this.totalSources) * 100);
-      return [];
+      console.error('Preferences import failed:', error);
+      this.showNotification(`Could not restore settings: ${error.message}`, 'error');
     }
   }
   
   /**
-   * Parse RSS feed XML and extract articles
+   * Apply limits the user can raise (e.g. via OPML import)
    */
-  parseRSSFeed(xmlText, source) {
-    try {
-      const parser = new DOMParser();
-      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
-      
-      // Check for parsing errors
-      const parserError = xmlDoc.querySelector('parsererror');
-      if (parserError) {
-        throw new Error('XML parsing failed');
-      }
-      
-      const items = xmlDoc.querySelectorAll('item');
-      const articles = [];
-      
-      items.forEach((item, index) => {
-        if (index < 10) {
-          const article = this.extractArticleFromItem(item, source);
-          if (article) {
-            articles.push(article);
-          }
-        }
-      });
-      
-      return articles;
-      
-    } catch (error) {
-      console.error('RSS parsing failed:', error);
-      return [];
-    }
+  applyPreferenceLimits() {
+    this.maxSourcesPerCategory = this.userPreferences.maxSourcesPerCategory || this.defaultMaxSourcesPerCategory;
+    this.maxArticles = this.userPreferences.articlesPerPage || this.defaultMaxArticles;
+    this.maxArticlesPerSource = this.userPreferences.articlesPerSource || this.defaultMaxArticlesPerSource;
+    this.resetRevealedArticles();
   }
   
   /**
-   * Extract article data from RSS item
+   * Save user preferences to localStorage
    */
-  extractArticleFromItem(item, source) {
+  saveUserPreferences() {
     try {
-      const title = this.getElementText(item, 'title');
-      const description = this.getElementText(item, 'description');
-      const link = this.getElementText(item, 'link') || this.getElementText(item, 'guid');
-      const pubDate = this.getElementText(item, 'pubDate');
-      
-      if (!title || !link) {
-        return null;
+      // Keep the previous copy so a bad save can be recovered on load
+      const previous = localStorage.getItem('newsstream-preferences');
+      if (previous) {
+        localStorage.setItem('newsstream-preferences-backup', previous);
       }
       
-      // Extract image from description or enclosure
-      const imageUrl = this.extractImageUrl(item, description);
-      
-      return {
-        id: this.generateArticleId(title, link),
-        title: this.sanitizeText(title),
-        summary: this.sanitizeText(description) || this.generateSummary(title),
-        url: this.sanitizeUrl(link),
-        imageUrl: imageUrl,
-        publishedAt: this.parseDate(pubDate),
-        source: {
-          id: source.id,
-          name: source.name,
-          verified: source.verified || false,
-          isCustom: source.isCustom || false
-        },
-        category: source.category,
-        loadedAt: Date.now()
-      };
-      
+      this.userPreferences.version = this.preferencesVersion;
+      localStorage.setItem('newsstream-preferences', JSON.stringify(this.userPreferences));
+      console.log('💾 Preferences saved successfully');
     } catch (error) {
-      console.error('Failed to extract article:', error);
-      return null;
+      console.error('Failed to save preferences:', error);
+      this.showNotification('Failed to save preferences', 'error');
     }
   }
   
   /**
-   * Get text content from XML element
-   */
-  getElementText(parent, tagName) {
-    const element = parent.querySelector(tagName);
-    return element ? element.textContent.trim() : '';
-  }
-  
-  /**
-   * Extract image URL from RSS item
+   * Load per-source health records from localStorage
    */
-  extractImageUrl(item, description) {
-    // Try media:content or media:thumbnail
-    let mediaContent = item.querySelector('content, thumbnail');
-    if (mediaContent) {
-      const url = mediaContent.getAttribute('url');
-      if (url && this.isValidImageUrl(url)) {
-        return url;
-      }
-    }
-    
-    // Try enclosure
-    const enclosure = item.querySelector('enclosure');
-    if (enclosure && enclosure.getAttribute('type')?.startsWith('image/')) {
-      const url = enclosure.getAttribute('url');
-      if (url && this.isValidImageUrl(url)) {
-        return url;
-      }
-    }
-    
-    // Try to extract from description
-    if (description) {
-      const imgMatch = description.match(/<img[^>]+src=["']([^"']+)["']/i);
-      if (imgMatch && this.isValidImageUrl(imgMatch[1])) {
-        return imgMatch[1];
+  loadSourceHealth() {
+    try {
+      const saved = localStorage.getItem('newsstream-source-health');
+      if (saved) {
+        return JSON.parse(saved);
       }
+    } catch (error) {
+      console.warn('Failed to load source health from localStorage:', error);
     }
     
-    return null;
+    return {};
   }
   
   /**
-   * Validate image URL
+   * Save per-source health records to localStorage
    */
-  isValidImageUrl(url) {
+  saveSourceHealth() {
     try {
-      const urlObj = new URL(url);
-      return urlObj.protocol === 'https:' && 
-             /\.(jpg|jpeg|png|gif|webp)$/i.test(urlObj.pathname);
-    } catch {
-      return false;
+      localStorage.setItem('newsstream-source-health', JSON.stringify(this.sourceHealth));
+    } catch (error) {
+      console.warn('Failed to save source health:', error);
     }
   }
   
   /**
-   * Generate unique article ID
+   * Get (or create) the health record for a source
    */
-  generateArticleId(title, url) {
-    const combined = (title + url).toLowerCase();
-    let hash = 0;
-    for (let i = 0; i < combined.length; i++) {
-      const char = combined.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+  getSourceHealth(source) {
+    if (!this.sourceHealth[source.id]) {
+      this.sourceHealth[source.id] = {
+        name: source.name,
+        url: source.url,
+        lastSuccess: null,
+        lastError: null,
+        lastErrorAt: null,
+        httpStatus: null,
+        parseFailures: 0,
+        consecutiveFailures: 0,
+        itemCount: 0,
+        averageLatency: null,
+        requests: 0
+      };
     }
-    return Math.abs(hash).toString(36);
+    
+    const health = this.sourceHealth[source.id];
+    health.name = source.name;
+    health.url = source.url;
+    return health;
   }
   
   /**
-   * Sanitize text content
+   * Record a successful load for a source
    */
-  sanitizeText(text) {
-    if (!text) return '';
+  recordSourceSuccess(source, itemCount, latency, httpStatus) {
+    const health = this.getSourceHealth(source);
     
-    return text
-      .replace(/<[^>]*>/g, '')
-      .replace(/&[^;]+;/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    health.lastSuccess = Date.now();
+    health.httpStatus = httpStatus;
+    health.consecutiveFailures = 0;
+    health.itemCount = itemCount;
+    this.updateAverageLatency(health, latency);
+    
+    this.saveSourceHealth();
   }
   
   /**
-   * Sanitize and validate URLs
+   * Record a failed load for a source
    */
-  sanitizeUrl(url) {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.protocol === 'https:' || urlObj.protocol === 'http:' 
-        ? urlObj.toString() 
-        : null;
-    } catch {
-      return null;
+  recordSourceFailure(source, error, latency) {
+    const health = this.getSourceHealth(source);
+    
+    health.lastError = error.message;
+    health.lastErrorAt = Date.now();
+    health.httpStatus = error.status || null;
+    health.consecutiveFailures++;
+    health.itemCount = 0;
+    if (error.isParseError) {
+      health.parseFailures++;
     }
+    this.updateAverageLatency(health, latency);
+    
+    this.saveSourceHealth();
   }
   
   /**
-   * Parse date string to ISO format
+   * Fold a request latency into the running average
    */
-  parseDate(dateString) {
-    if (!dateString) return new Date().toISOString();
-    
-    try {
-      const date = new Date(dateString);
-      return date.toISOString();
-    } catch {
-      return new Date().toISOString();
-    }
+  updateAverageLatency(health, latency) {
+    health.requests++;
+    health.averageLatency = health.averageLatency === null
+      ? latency
+      : health.averageLatency + (latency - health.averageLatency) / health.requests;
   }
   
   /**
-   * Generate summary from title if description not available
+   * Check whether a source has failed repeatedly
    */
-  generateSummary(title) {
-    return title.length > 100 ? title.substring(0, 100) + '...' : title;
+  isSourceFailing(sourceId) {
+    const health = this.sourceHealth[sourceId];
+    return !!health && health.consecutiveFailures >= this.healthFailureThreshold;
   }
   
   /**
-   * Get active sources based on user preferences
+   * Open (and upgrade) the IndexedDB database
    */
-  getActiveSources() {
-    const sources = [];
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
     
-    this.userPreferences.categories.forEach(category => {
-      const categoryKey = category.replace(/\s+/g, '').toLowerCase();
-      
-      // Add default sources for this category
-      if (this.defaultSources[categoryKey]) {
-        const selectedSources = this.userPreferences.sources[categoryKey] || [];
-        
-        this.defaultSources[categoryKey].forEach(source => {
-          if (selectedSources.includes(source.id)) {
-            sources.push({
-              ...source,
-              category: categoryKey,
-              isCustom: false
-            });
-          }
-        });
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB not supported'));
+        return;
       }
       
-      // Add custom sources for this category
-      if (this.userPreferences.customSources[categoryKey]) {
-        this.userPreferences.customSources[categoryKey].forEach(customSource => {
-          sources.push({
-            ...customSource,
-            category: categoryKey,
-            verified: false,
-            isCustom: true
-          });
-        });
-      }
+      const request = indexedDB.open(this.dbName, this.dbVersion);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('feeds')) {
+          db.createObjectStore('feeds', { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('pageImages')) {
+          db.createObjectStore('pageImages', { keyPath: 'url' });
+        }
+        if (!db.objectStoreNames.contains('saved')) {
+          db.createObjectStore('saved', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('collections')) {
+          db.createObjectStore('collections', { keyPath: 'name' });
+        }
+        if (!db.objectStoreNames.contains('read')) {
+          db.createObjectStore('read', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('seen')) {
+          db.createObjectStore('seen', { keyPath: 'id' });
+        }
+      };
+      
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
     });
     
-    return sources;
+    return this.dbPromise;
   }
   
   /**
-   * Process all loaded articles with deduplication and limits
+   * Run a single request against an object store
    */
-  processAllArticles() {
-    // Remove duplicates based on title similarity
-    const uniqueArticles = this.deduplicateArticles(this.allArticles);
+  async runStoreRequest(storeName, mode, callback) {
+    const db = await this.openDatabase();
     
-    // Sort by publish date (newest first)
-    uniqueArticles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
-    
-    // Apply global article limit
-    this.articles = uniqueArticles.slice(0, this.maxArticles);
-    
-    console.log(`📊 Processed ${this.articles.length} unique articles from ${this.allArticles.length} total`);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = callback(transaction.objectStore(storeName));
+      
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
   }
   
   /**
-   * Remove duplicate articles based on title similarity
+   * Get a cached feed response (validators and parsed articles)
    */
-  deduplicateArticles(articles) {
-    const seen = new Set();
-    const unique = [];
-    
-    articles.forEach(article => {
-      const key = article.title.toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .replace(/\s+/g, ' ')
-        .trim()
-        .substring(0, 50);
+  async getCachedFeed(url) {
+    try {
+      const record = await this.runStoreRequest('feeds', 'readonly', store => store.get(url));
       
-      if (!seen.has(key)) {
-        seen.add(key);
-        unique.push(article);
-      }
-    });
-    
-    return unique;
+      // Articles cached under an older id scheme would never get current ids through a 304
+      return record && record.idVersion === this.articleIdVersion ? record : null;
+    } catch (error) {
+      console.warn('Failed to read feed cache:', error);
+      return null;
+    }
   }
   
   /**
-   * Filter and display articles based on current category
+   * Store a feed response in the cache
    */
-  filterAndDisplayArticles() {
-    let filteredArticles = this.articles;
-    
-    if (this.currentCategory !== 'all') {
-      filteredArticles = this.articles.filter(article => 
-        article.category === this.currentCategory
-      );
+  async putCachedFeed(record) {
+    try {
+      await this.runStoreRequest('feeds', 'readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Failed to write feed cache:', error);
     }
-    
-    console.log(`🎯 Displaying ${filteredArticles.length} articles for category: ${this.currentCategory}`);
-    
-    this.displayArticles(filteredArticles);
-    this.updateArticleCount(filteredArticles.length);
   }
   
   /**
-   * Display articles in the news grid
+   * Store the processed articles from the last successful load
    */
-  displayArticles(articles) {
-    const newsGrid = document.getElementById('newsGrid');
-    
-    // Always show news grid
-    newsGrid.style.display = 'grid';
-    
-    // Clear existing articles
-    newsGrid.innerHTML = '';
-    
-    // Add articles with progressive animation
-    articles.forEach((article, index) => {
-      setTimeout(() => {
-        const articleElement = this.createArticleElement(article);
-        newsGrid.appendChild(articleElement);
-      }, index * 50);
-    });
+  async saveArticleSnapshot() {
+    try {
+      await this.runStoreRequest('snapshots', 'readwrite', store => store.put({
+        id: 'latest',
+        articles: this.articles,
+        savedAt: Date.now()
+      }));
+    } catch (error) {
+      console.warn('Failed to save article snapshot:', error);
+    }
   }
   
   /**
-   * Create HTML element for news article (with custom source identification)
+   * Get the stored article snapshot
    */
-  createArticleElement(article) {
-    const article_element = document.createElement('article');
-    article_element.className = 'news-card';
-    article_element.setAttribute('data-article-id', article.id);
-    
-    const timeAgo = this.getTimeAgo(article.publishedAt);
-    const categoryClass = article.category === 'breaking' ? 'news-card__category--breaking' : '';
-    const customSourceAttr = article.source.isCustom ? 'data-custom="true"' : '';
-    
-    article_element.innerHTML = `
-      ${article.imageUrl ? `
-        <img 
-          src="${article.imageUrl}" 
-          alt="" 
-          class="news-card__image"
-          loading="lazy"
-          onerror="this.style.display='none'"
-        >
-      ` : ''}
+  async getArticleSnapshot() {
+    try {
+      return await this.runStoreRequest('snapshots', 'readonly', store => store.get('latest')) || null;
+    } catch (error) {
+      console.warn('Failed to read article snapshot:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Load saved articles and collections from storage
+   */
+  async loadSavedArticles() {
+    try {
+      const [records, collections] = await Promise.all([
+        this.runStoreRequest('saved', 'readonly', store => store.getAll()),
+        this.runStoreRequest('collections', 'readonly', store => store.getAll())
+      ]);
       
-      <div class="news-card__content">
-        <div class="news-card__category ${categoryClass}">
-          ${this.getCategoryDisplayName(article.category)}
-        </div>
-        
-        <h2 class="news-card__title">
-          <a 
-            href="${article.url}" 
-            target="_blank" 
-            rel="noopener noreferrer"
-            aria-label="Read full article: ${article.title}"
-          >
-            ${article.title}
-          </a>
-        </h2>
-        
-        <p class="news-card__summary">${article.summary}</p>
-        
-        <div class="news-card__meta">
-          <span class="news-card__source" ${customSourceAttr}>
-            ${article.source.name}
-            ${article.source.verified ? '✓' : ''}
-          </span>
-          <time datetime="${article.publishedAt}" title="${new Date(article.publishedAt).toLocaleString()}">
-            ${timeAgo}
-          </time>
-        </div>
-      </div>
-    `;
+      this.savedArticles = new Map(records.map(record => [record.id, record]));
+      this.collections = collections
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(collection => collection.name);
+    } catch (error) {
+      console.warn('Failed to read saved articles:', error);
+    }
     
-    return article_element;
+    if (!this.collections.includes(this.defaultCollection)) {
+      this.collections.unshift(this.defaultCollection);
+    }
+    
+    this.indexArticles(this.getSavedArticles(null));
+    this.updateSavedCount();
+    console.log(`🔖 ${this.savedArticles.size} saved articles in ${this.collections.length} collections`);
   }
   
   /**
-   * Get display name for category (handle both built-in and custom)
+   * Store a saved article record (or delete it once it's in no collection)
    */
-  getCategoryDisplayName(category) {
-    if (this.categoryMetadata[category]) {
-      return this.categoryMetadata[category].name;
+  async putSavedRecord(record) {
+    try {
+      await this.runStoreRequest('saved', 'readwrite', store =>
+        record.collections.length > 0 ? store.put(record) : store.delete(record.id)
+      );
+    } catch (error) {
+      console.warn('Failed to write saved article:', error);
+      this.showNotification('Could not store the saved article', 'error');
+    }
+  }
+  
+  /**
+   * Store or delete a collection name
+   */
+  async putCollection(name, remove = false) {
+    try {
+      await this.runStoreRequest('collections', 'readwrite', store =>
+        remove ? store.delete(name) : store.put({ name, createdAt: Date.now() })
+      );
+    } catch (error) {
+      console.warn('Failed to write collection:', error);
+    }
+  }
+  
+  /**
+   * Load read state and first-seen times from storage, forgetting entries
+   * past the retention period
+   */
+  async loadReadState() {
+    try {
+      this.readArticles = await this.loadTimeRecords('read', 'readAt');
+      this.firstSeen = await this.loadTimeRecords('seen', 'seenAt');
+    } catch (error) {
+      console.warn('Failed to read article read state:', error);
+    }
+  }
+  
+  /**
+   * Read an id -> time store into a Map, deleting expired records
+   */
+  async loadTimeRecords(storeName, timeKey) {
+    const records = await this.runStoreRequest(storeName, 'readonly', store => store.getAll());
+    const cutoff = Date.now() - this.readRetention;
+    const expired = records.filter(record => record[timeKey] < cutoff);
+    
+    if (expired.length > 0) {
+      await this.runStoreRequest(storeName, 'readwrite', store => {
+        expired.forEach(record => store.delete(record.id));
+        return store.count();
+      });
     }
     
-    // Check custom categories
-    const customCategory = this.userPreferences.customCategories.find(cat => 
-      cat.toLowerCase().replace(/\s+/g, '') === category
-    );
+    return new Map(records
+      .filter(record => record[timeKey] >= cutoff)
+      .map(record => [record.id, record[timeKey]]));
+  }
+  
+  /**
+   * Remember when articles were first seen (already known ids keep their time)
+   */
+  recordFirstSeen(articles) {
+    const seenAt = Date.now();
+    const unseen = articles.filter(article => !this.firstSeen.has(article.id));
+    if (unseen.length === 0) return;
+    
+    unseen.forEach(article => this.firstSeen.set(article.id, seenAt));
+    this.runStoreRequest('seen', 'readwrite', store => {
+      unseen.forEach(article => store.put({ id: article.id, seenAt }));
+      return store.count();
+    }).catch(error => console.warn('Failed to write first-seen times:', error));
+  }
+  
+  /**
+   * Store read times for a batch of article ids
+   */
+  async putReadState(ids, readAt) {
+    try {
+      await this.runStoreRequest('read', 'readwrite', store => {
+        ids.forEach(id => store.put({ id, readAt }));
+        return store.count();
+      });
+    } catch (error) {
+      console.warn('Failed to write article read state:', error);
+    }
+  }
+  
+  /**
+   * Load the time of the last completed visit from localStorage
+   */
+  loadLastVisit() {
+    try {
+      return Number(localStorage.getItem('newsstream-last-visit')) || null;
+    } catch (error) {
+      console.warn('Failed to load last visit time:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Save the time of the last completed visit to localStorage
+   */
+  saveLastVisit(time) {
+    this.lastVisitTime = time;
     
-    return customCategory || category.charAt(0).toUpperCase() + category.slice(1);
+    try {
+      localStorage.setItem('newsstream-last-visit', String(time));
+    } catch (error) {
+      console.warn('Failed to save last visit time:', error);
+    }
   }
   
   /**
-   * Calculate time ago string
+   * Render the stored article snapshot and show the offline indicator
    */
-  getTimeAgo(dateString) {
-    const now = new Date();
-    const date = new Date(dateString);
-    const diffMs = now - date;
-    const diffMins = Math.floor(diffMs / 60000);
+  async renderOfflineSnapshot() {
+    const snapshot = await this.getArticleSnapshot();
     
-    if (diffMins < 1) return 'Just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
+    if (!snapshot || snapshot.articles.length === 0) {
+      console.log('📴 Offline with no stored articles');
+      this.showOfflineIndicator(null);
+      return;
+    }
     
-    const diffHours = Math.floor(diffMins / 60);
-    if (diffHours < 24) return `${diffHours}h ago`;
+    console.log(`📴 Offline, rendering ${snapshot.articles.length} stored articles`);
     
-    const diffDays = Math.floor(diffHours / 24);
-    if (diffDays < 7) return `${diffDays}d ago`;
+    this.articles = snapshot.articles;
+    this.indexArticles(this.articles);
+    this.updateUnreadCounts();
+    this.updateCategoryButtons();
+    this.filterAndDisplayArticles();
+    this.showOfflineIndicator(snapshot.savedAt);
+  }
+  
+  /**
+   * Show the offline indicator with the snapshot time
+   */
+  showOfflineIndicator(savedAt) {
+    const indicator = document.getElementById('offlineIndicator');
+    
+    if (savedAt) {
+      const savedDate = new Date(savedAt);
+      const timeString = savedDate.toLocaleString([], {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+      indicator.textContent = `Offline, showing items from ${timeString}`;
+      indicator.title = savedDate.toLocaleString();
+    } else {
+      indicator.textContent = 'Offline, no saved items yet';
+      indicator.title = '';
+    }
     
-    return date.toLocaleDateString();
+    indicator.hidden = false;
+    this.updateLoadingStatus('Offline');
   }
   
-    /**
-     * Update category buttons based on available articles (fixed to prevent duplicates)
-     */
-    updateCategoryButtons() {
-        const availableCategories = new Set(['all']);
-        
-        // Find categories with articles
-        this.articles.forEach(article => {
-            if (article.category) {
-            availableCategories.add(article.category);
-            }
-        });
-        
-        const categoryNav = document.querySelector('.category-nav__container');
-        const allButton = categoryNav.querySelector('[data-category="all"]');
-        
-        // Clear existing buttons except "All"
-        categoryNav.innerHTML = '';
-        categoryNav.appendChild(allButton);
-        
-        // Create a map to track unique categories and their properties
-        const uniqueCategories = new Map();
-        
-        // Add user's selected categories (both built-in and custom)
-        this.userPreferences.categories.forEach(category => {
-            const categoryKey = category.replace(/\s+/g, '').toLowerCase();
-            
-            if (availableCategories.has(categoryKey)) {
-            // Check if this is a built-in category
-            const isBuiltIn = this.categoryMetadata.hasOwnProperty(categoryKey);
-            
-            // Check if this is a custom category
-            const customCategory = this.userPreferences.customCategories.find(cat => 
-                cat.toLowerCase().replace(/\s+/g, '') === categoryKey
-            );
-            
-            // Only add to map if not already present (first occurrence wins)
-            if (!uniqueCategories.has(categoryKey)) {
-                uniqueCategories.set(categoryKey, {
-                key: categoryKey,
-                displayName: this.getCategoryDisplayName(categoryKey),
-                isCustom: !isBuiltIn && !!customCategory
-                });
-            }
-            }
-        });
+  /**
+   * Hide the offline indicator
+   */
+  hideOfflineIndicator() {
+    document.getElementById('offlineIndicator').hidden = true;
+  }
+  
+  /**
+   * Reconcile with the network once the connection comes back
+   */
+  handleConnectionRestored() {
+    console.log('📶 Connection restored, reconciling articles');
+    this.hideOfflineIndicator();
+    this.startProgressiveLoading();
+  }
+  
+  /**
+   * Setup all event listeners with performance timing
+   */
+  setupEventListeners() {
+    // Refresh button
+    document.getElementById('refreshBtn').addEventListener('click', (e) => {
+      this.trackInteractionTime('refresh-click', () => {
+        this.refreshNews();
+      });
+    });
     
-    // Add custom categories that don't conflict with selected built-in categories
-        this.userPreferences.customCategories.forEach(customCategory => {
-            const categoryKey = customCategory.toLowerCase().replace(/\s+/g, '');
-            
-            if (availableCategories.has(categoryKey) && !uniqueCategories.has(categoryKey)) {
-            uniqueCategories.set(categoryKey, {
-                key: categoryKey,
-                displayName: customCategory,
-                isCustom: true
-            });
-            }
-        });
+    // Settings modal controls
+    document.getElementById('settingsBtn').addEventListener('click', (e) => {
+      this.trackInteractionTime('settings-open', () => {
+        this.openSettings();
+      });
+    });
     
-    // Render unique categories
-        uniqueCategories.forEach(categoryInfo => {
-            const button = this.createCategoryButton(
-            categoryInfo.key, 
-            categoryInfo.isCustom, 
-            categoryInfo.displayName
-            );
-            categoryNav.appendChild(button);
-        });
-        
-        // Setup listeners for new buttons
-        this.setupCategoryListeners();
-        
-        // Restore active state
-        this.updateCategoryUI(this.currentCategory);
-        }
-
-    /**
-     * Create category button element (updated to handle custom identification properly)
-     */
-    createCategoryButton(category, isCustom = false, displayName = null) {
-        const button = document.createElement('button');
-        button.className = 'category-tab';
-        button.dataset.category = category;
-        button.setAttribute('aria-pressed', 'false');
-        
-        // Only add custom attribute if it's truly a custom category
-        if (isCustom) {
-            button.setAttribute('data-custom', 'true');
-        }
-        
-        const finalDisplayName = displayName || this.getCategoryDisplayName(category);
-        
-        if (category === 'breaking') {
-            button.innerHTML = `
-            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
-            </svg>
-            <span>${finalDisplayName}</span>
-            <div style="width: 6px; height: 6px; background: #dc2626; border-radius: 50%; animation: pulse 1.5s infinite;"></div>
-            `;
-        } else {
-            button.innerHTML = `
-            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z"/>
-            </svg>
-            <span>${finalDisplayName}</span>
-            `;
-        }
-        
-        return button;
-        }
-
-    /**
-     * Get display name for category (updated to handle both built-in and custom properly)
-     */
-    getCategoryDisplayName(category) {
-        // First check built-in categories
-        if (this.categoryMetadata[category]) {
-            return this.categoryMetadata[category].name;
-        }
-        
-        // Then check custom categories (case-insensitive match)
-        const customCategory = this.userPreferences.customCategories.find(cat => 
-            cat.toLowerCase().replace(/\s+/g, '') === category.toLowerCase().replace(/\s+/g, '')
-        );
-        
-        if (customCategory) {
-            return customCategory;
+    document.getElementById('closeSettings').addEventListener('click', () => {
+      this.closeSettings();
+    });
+    
+    document.getElementById('cancelSettings').addEventListener('click', () => {
+      this.closeSettings();
+    });
+    
+    document.getElementById('saveSettings').addEventListener('click', () => {
+      this.saveSettings();
+    });
+    
+    document.getElementById('resetSettings').addEventListener('click', () => {
+      this.resetSettings();
+    });
+    
+    // Custom category and source management
+    document.getElementById('addCategoryBtn').addEventListener('click', () => {
+      this.addCustomCategory();
+    });
+    
+    document.getElementById('addSourceBtn').addEventListener('click', () => {
+      this.addCustomSource();
+    });
+    
+    document.getElementById('discoverFeedsBtn').addEventListener('click', () => {
+      this.discoverCustomSourceFeeds();
+    });
+    
+    // A preview only applies to the inputs it was made from
+    ['customSourceName', 'customSourceURL', 'customSourceCategory'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.clearSourcePreview());
+    });
+    
+    // OPML import and export
+    document.getElementById('importOpmlBtn').addEventListener('click', () => {
+      document.getElementById('opmlFileInput').click();
+    });
+    
+    document.getElementById('opmlFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.importOPMLFile(file);
+      }
+      e.target.value = '';
+    });
+    
+    document.getElementById('exportOpmlBtn').addEventListener('click', () => {
+      this.exportOPML();
+    });
+    
+    // Preferences backup and restore
+    document.getElementById('exportPrefsBtn').addEventListener('click', () => {
+      this.exportPreferences();
+    });
+    
+    document.getElementById('importPrefsBtn').addEventListener('click', () => {
+      document.getElementById('prefsFileInput').click();
+    });
+    
+    document.getElementById('prefsFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this.importPreferencesFile(file);
+      }
+      e.target.value = '';
+    });
+    
+    // Remove buttons in the custom category/source lists
+    document.getElementById('customCategoriesList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      
+      if (button.dataset.action === 'remove-category') {
+        this.removeCustomCategory(Number(button.dataset.index));
+      } else if (button.dataset.action === 'edit-rules') {
+        this.toggleRuleEditor(button.dataset.category);
+      } else if (button.dataset.action === 'save-rules') {
+        this.saveCategoryRule(button.closest('.rule-editor'));
+      }
+    });
+    
+    document.getElementById('customSourcesList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="remove-source"]');
+      if (button) {
+        this.removeCustomSource(button.dataset.category, Number(button.dataset.index));
+      }
+    });
+    
+    document.getElementById('clearDiagnosticsBtn').addEventListener('click', () => {
+      this.clearDiagnostics();
+    });
+    
+    // Modal overlay click to close
+    document.getElementById('settingsModal').addEventListener('click', (e) => {
+      if (e.target === e.currentTarget) {
+        this.closeSettings();
+      }
+    });
+    
+    // Drop card images that fail to load, placeholder included (error doesn't bubble, so capture it)
+    document.getElementById('newsGrid').addEventListener('error', (e) => {
+      if (e.target.classList && e.target.classList.contains('news-card__image')) {
+        (e.target.closest('.news-card__media') || e.target).remove();
+      }
+    }, true);
+    
+    // Tag chips and source names on article cards (delegated so streamed-in cards work too)
+    document.getElementById('newsGrid').addEventListener('click', (e) => {
+      const tagButton = e.target.closest('.news-card__tag');
+      if (tagButton) {
+        this.setTagFilter(tagButton.dataset.tag);
+      }
+      
+      const sourceButton = e.target.closest('.news-card__source');
+      if (sourceButton) {
+        this.setSourceFilter(sourceButton.dataset.sourceId);
+      }
+      
+      if (e.target.closest('.news-card__mute')) {
+        this.toggleMuteMenu(e.target.closest('.news-card'));
+      }
+      
+      const muteOption = e.target.closest('.news-card__mute-option');
+      if (muteOption) {
+        this.handleMuteAction(e.target.closest('.news-card'), muteOption.dataset.muteAction);
+      }
+      
+      if (e.target.closest('.news-card__save')) {
+        this.toggleSaveMenu(e.target.closest('.news-card'));
+      }
+      
+      const saveOption = e.target.closest('.news-card__save-option');
+      if (saveOption) {
+        this.handleSaveAction(e.target.closest('.news-card'), saveOption);
+      }
+    });
+    
+    // Opening any link on a card marks its story read (middle clicks included)
+    ['click', 'auxclick'].forEach(type => {
+      document.getElementById('newsGrid').addEventListener(type, (e) => {
+        const link = e.target.closest('.news-card a[href]');
+        if (link) {
+          this.markArticlesRead([link.closest('.news-card').dataset.articleId]);
         }
-        
-        // Fallback to formatted category name
-        return category.charAt(0).toUpperCase() + category.slice(1);
+      });
+    });
+    
+    document.getElementById('unreadOnlyBtn').addEventListener('click', () => {
+      this.toggleUnreadOnly();
+    });
+    this.updateUnreadOnlyButton();
+    
+    // Saved view: collection picker and exports
+    document.getElementById('savedBar').addEventListener('click', (e) => {
+      const collectionButton = e.target.closest('[data-collection]');
+      if (collectionButton) {
+        this.setActiveCollection(collectionButton.dataset.collection);
+        return;
+      }
+      
+      const action = e.target.closest('[data-saved-action]')?.dataset.savedAction;
+      if (action === 'new') {
+        const name = this.createCollection(prompt('Name the new collection:', ''));
+        if (name) this.setActiveCollection(name);
+      } else if (action === 'delete') {
+        this.deleteCollection(this.activeCollection);
+      } else if (action === 'export-json') {
+        this.exportCollection('json');
+      } else if (action === 'export-markdown') {
+        this.exportCollection('markdown');
+      }
+    });
+    
+    // Muted items review
+    document.getElementById('mutedToggle').addEventListener('click', (e) => {
+      const list = document.getElementById('mutedList');
+      list.hidden = !list.hidden;
+      e.currentTarget.setAttribute('aria-expanded', String(!list.hidden));
+      if (!list.hidden) {
+        this.renderMutedList();
+      }
+    });
+    
+    document.getElementById('mutedList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-muted-index]');
+      if (button) {
+        this.removeMuteRule(this.mutedArticles[Number(button.dataset.mutedIndex)].match);
+      }
+    });
+    
+    document.getElementById('mutedSourcesList').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action="unmute-source"]');
+      if (button) {
+        this.userPreferences.muteRules.sources.splice(Number(button.dataset.index), 1);
+        this.populateMuteSettings();
+      }
+    });
+    
+    document.getElementById('clearTagFilter').addEventListener('click', () => {
+      this.clearFilters();
+    });
+    
+    document.getElementById('loadMoreBtn').addEventListener('click', () => {
+      this.loadMoreArticles();
+    });
+    
+    // Search as you type (debounced; the index does the heavy lifting)
+    const searchInput = document.getElementById('searchInput');
+    searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.setSearchQuery(searchInput.value), this.searchDebounceDelay);
+    });
+    
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && searchInput.value) {
+        e.stopPropagation();
+        searchInput.value = '';
+        clearTimeout(this.searchTimer);
+        this.setSearchQuery('');
+      }
+    });
+    
+    // Keyboard navigation
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeSettings();
+      }
+      
+      // "/" jumps to the search box unless the user is typing somewhere
+      if (e.key === '/' && !e.target.closest('input, textarea, select, [contenteditable]')) {
+        e.preventDefault();
+        searchInput.focus();
+      }
+    });
+    
+    // Setup initial category listeners
+    this.setupCategoryListeners();
+    
+    console.log('🎧 Event listeners setup complete');
+  }
+  
+  /**
+   * Setup category navigation listeners (works for both built-in and custom)
+   */
+  setupCategoryListeners() {
+    document.querySelectorAll('.category-tab').forEach(tab => {
+      // Remove existing listeners to prevent duplicates
+      const newTab = tab.cloneNode(true);
+      tab.parentNode.replaceChild(newTab, tab);
+      
+      newTab.addEventListener('click', (e) => {
+        this.trackInteractionTime('category-switch', () => {
+          const category = e.currentTarget.dataset.category;
+          this.switchCategory(category);
+        });
+      });
+      
+      // Keyboard accessibility
+      newTab.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          e.currentTarget.click();
         }
-
-    /**
-     * Normalize category key for consistent comparison
-     */
-    normalizeCategoryKey(categoryName) {
-    return categoryName.toLowerCase().replace(/\s+/g, '').trim();
+      });
+    });
+  }
+  
+  /**
+   * Setup performance monitoring and budget enforcement
+   */
+  setupPerformanceMonitoring() {
+    if ('PerformanceObserver' in window) {
+      const observer = new PerformanceObserver((list) => {
+        const entries = list.getEntries();
+        entries.forEach(entry => {
+          if (entry.duration > 50) {
+            console.warn(`⚠️ Long task detected: ${entry.duration}ms`);
+          }
+        });
+      });
+      
+      try {
+        observer.observe({ entryTypes: ['longtask'] });
+      } catch (error) {
+        // Longtask not supported, continue silently
+      }
     }
-
-    /**
-     * Check if category exists (either built-in or custom)
-     */
-    categoryExists(categoryName) {
-    const normalizedKey = this.normalizeCategoryKey(categoryName);
     
-    // Check built-in categories
-        if (this.categoryMetadata.hasOwnProperty(normalizedKey)) {
-            return true;
-        }
+    console.log('📊 Performance monitoring active');
+  }
+  
+  /**
+   * Track interaction timing for performance budgets
+   */
+  trackInteractionTime(action, callback) {
+    const startTime = performance.now();
+    this.performanceMetrics.lastInteraction = startTime;
+    
+    try {
+      const result = callback();
+      
+      if (result instanceof Promise) {
+        result.finally(() => {
+          const duration = performance.now() - startTime;
+          this.logPerformanceMetric(action, duration);
+        });
+      } else {
+        const duration = performance.now() - startTime;
+        this.logPerformanceMetric(action, duration);
+      }
+      
+      return result;
+    } catch (error) {
+      const duration = performance.now() - startTime;
+      this.logPerformanceMetric(action, duration, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Log performance metrics and check budgets
+   */
+  logPerformanceMetric(action, duration, error = null) {
+    const budgets = {
+      'refresh-click': this.performanceMetrics.feedbackBudget,
+      'settings-open': this.performanceMetrics.feedbackBudget,
+      'category-switch': this.performanceMetrics.feedbackBudget,
+      'news-load': this.performanceMetrics.loadingBudget
+    };
+    
+    const budget = budgets[action] || this.performanceMetrics.feedbackBudget;
+    const status = duration <= budget ? '✅' : '⚠️';
+    
+    console.log(`${status} ${action}: ${duration.toFixed(2)}ms (budget: ${budget}ms)`);
+    
+    if (duration > budget) {
+      console.warn(`Performance budget exceeded for ${action}`);
+    }
+    
+    if (error) {
+      console.error(`Error in ${action}:`, error);
+    }
+  }
+  
+  /**
+   * Switch active category with performance tracking
+   */
+  switchCategory(category) {
+    if (this.currentCategory === category) return;
+    
+    console.log(`🔄 Switching to category: ${category}`);
+    
+    this.currentCategory = category;
+    this.updateCategoryUI(category);
+    this.updateSavedBar();
+    this.resetRevealedArticles();
+    this.filterAndDisplayArticles();
+    
+    // Update URL without navigation (for bookmarking)
+    if (history.replaceState) {
+      const url = new URL(window.location);
+      url.searchParams.set('category', category);
+      history.replaceState(null, '', url);
+    }
+  }
+  
+  /**
+   * Update category navigation UI
+   */
+  updateCategoryUI(activeCategory) {
+    document.querySelectorAll('.category-tab').forEach(tab => {
+      const isActive = tab.dataset.category === activeCategory;
+      tab.classList.toggle('category-tab--active', isActive);
+      tab.setAttribute('aria-pressed', isActive);
+    });
+  }
+  
+  /**
+   * Start progressive loading of news articles
+   */
+  async startProgressiveLoading() {
+    // A new load supersedes any load still in flight
+    if (this.loadController) {
+      console.log('⏹️ Cancelling in-flight feed requests');
+      this.loadController.abort();
+    }
+    
+    const controller = new AbortController();
+    this.loadController = controller;
+    
+    const startTime = performance.now();
+    this.isLoading = true;
+    
+    try {
+      this.updateProgressBar(0);
+      this.updateLoadingStatus('Initializing news sources...');
+      
+      // Get active sources based on user preferences
+      const activeSources = this.getActiveSources();
+      this.totalSources = activeSources.length;
+      
+      if (this.totalSources === 0) {
+        console.log('No active sources configured');
+        return;
+      }
+      
+      console.log(`📡 Loading news from ${this.totalSources} sources`);
+      
+      // Articles published after the previous load are marked as new
+      const visitTime = Date.now();
+      this.newSinceTime = this.lastVisitTime;
+      
+      // Reset articles
+      this.allArticles = [];
+      this.mutedArticles = [];
+      this.resetSearchIndex();
+      this.indexArticles(this.getSavedArticles(null));
+      this.loadedSources = 0;
+      this.resetRevealedArticles();
+      
+      // Load sources through the scheduler (bounded concurrency, timeouts, retries)
+      const tasks = activeSources.map(source => () => this.loadSingleSource(source, controller.signal));
+      await this.runWithConcurrency(tasks, this.fetchConcurrency);
+      
+      // A newer load took over while this one was running
+      if (controller.signal.aborted) return;
+      
+      // Network or proxy down: fall back to the last stored articles
+      if (this.allArticles.length === 0) {
+        await this.renderOfflineSnapshot();
+        return;
+      }
+      
+      // Final pass: settle the full list and drop stale cards (e.g. from the cache)
+      this.processAllArticles();
+      this.updateCategoryButtons();
+      this.updateDisplayedArticles();
+      
+      this.hideOfflineIndicator();
+      
+      // Read the archive before the snapshot is overwritten with this load
+      this.loadSearchArchive();
+      this.saveArticleSnapshot();
+      this.saveLastVisit(visitTime);
+      
+      // Runs in the background; a newer load aborts it through the signal
+      if (this.userPreferences.fetchPageImages) {
+        this.fillMissingImages(this.articles, controller.signal);
+      }
+      
+      this.lastUpdateTime = new Date();
+      this.updateLastUpdatedTime();
+      
+      const duration = performance.now() - startTime;
+      this.logPerformanceMetric('news-load', duration);
+      
+      if (this.allArticles.length > 0) {
+        this.showNotification(`Loaded ${this.allArticles.length} articles from ${this.totalSources} sources`, 'success');
+      }
+      
+    } catch (error) {
+      console.error('❌ Failed to load news:', error);
+    } finally {
+      if (this.loadController === controller) {
+        this.loadController = null;
+        this.isLoading = false;
+        this.updateProgressBar(100);
+        setTimeout(() => this.updateProgressBar(0), 1000);
+      }
+    }
+  }
+  
+  /**
+   * Run async tasks with at most `limit` in flight, settling like Promise.allSettled
+   */
+  async runWithConcurrency(tasks, limit) {
+    const results = new Array(tasks.length);
+    let nextIndex = 0;
+    
+    const worker = async () => {
+      while (nextIndex < tasks.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = { status: 'fulfilled', value: await tasks[index]() };
+        } catch (reason) {
+          results[index] = { status: 'rejected', reason };
+        }
+      }
+    };
+    
+    const workers = Array.from({ length: Math.min(limit, tasks.length) }, worker);
+    await Promise.all(workers);
+    
+    return results;
+  }
+  
+  /**
+   * Load articles from a single RSS source
+   */
+  async loadSingleSource(source, signal) {
+    const startTime = performance.now();
+    
+    try {
+      this.updateLoadingStatus(`Loading ${source.name}...`);
+      
+      const { articles, status } = await this.fetchSourceArticles(source, signal);
+      
+      // Superseded by a newer load; don't mix stale results into it
+      if (signal?.aborted) return [];
+      
+      this.recordSourceSuccess(source, articles.length, performance.now() - startTime, status);
+      
+      if (articles.length > 0) {
+        this.allArticles.push(...articles);
+        this.insertArticles(articles);
+        
+        console.log(`📰 Loaded ${articles.length} articles from ${source.name}`);
+      }
+      
+      this.loadedSources++;
+      this.updateProgressBar((this.loadedSources / this.totalSources) * 100);
+      
+      return articles;
+      
+    } catch (error) {
+      if (error.name === 'AbortError') return [];
+      
+      this.recordSourceFailure(source, error, performance.now() - startTime);
+      
+      console.error(`❌ Failed to load ${source.name}:`, error);
+      this.loadedSources++;
+      this.updateProgressBar((this.loadedSources / this.totalSources) * 100);
+      return [];
+    }
+  }
+  
+  /**
+   * Fetch and parse a source, using a conditional GET against the feed cache.
+   * Resolves to the articles and the HTTP status (304 when the cache was reused).
+   */
+  async fetchSourceArticles(source, signal) {
+    const cached = await this.getCachedFeed(source.url);
+    const headers = {
+      'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml'
+    };
+    const conditionalHeaders = { ...headers };
+    
+    if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+    
+    let response;
+    try {
+      response = await this.fetchWithRetry(source.url, { headers: conditionalHeaders, signal });
+    } catch (error) {
+      // Proxies that reject the CORS preflight for conditional headers fail as network errors
+      if (!cached || error.name === 'AbortError') throw error;
+      response = await this.fetchWithRetry(source.url, { headers, signal });
+    }
+    
+    // Not modified: reuse the cached parse
+    if (response.status === 304 && cached) {
+      console.log(`♻️ ${source.name} not modified, using cached articles`);
+      return { articles: this.restoreCachedArticles(cached, source), status: response.status };
+    }
+    
+    const articles = await this.parseFeedResponse(response, source);
+    
+    this.putCachedFeed({
+      url: source.url,
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified'),
+      articles,
+      idVersion: this.articleIdVersion,
+      fetchedAt: Date.now()
+    });
+    
+    return { articles, status: response.status };
+  }
+  
+  /**
+   * Parse a feed response into articles, throwing a descriptive error when
+   * the response is an HTTP error or yields no articles
+   */
+  async parseFeedResponse(response, source) {
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    const feedText = await response.text();
+    const isJSON = this.isJSONFeed(response, feedText);
+    const articles = isJSON
+      ? this.parseJSONFeed(feedText, source)
+      : this.parseRSSFeed(feedText, source);
+    
+    if (articles.length === 0) {
+      const error = new Error(this.diagnoseFeedText(feedText, isJSON));
+      error.status = response.status;
+      error.isParseError = true;
+      throw error;
+    }
+    
+    return articles;
+  }
+  
+  /**
+   * Explain why a feed body produced no articles
+   */
+  diagnoseFeedText(text, isJSON) {
+    if (!text.trim()) return 'Empty response';
+    
+    if (isJSON) {
+      try {
+        const feed = JSON.parse(text);
+        return Array.isArray(feed?.items) ? 'JSON Feed has no usable items' : 'JSON is not a JSON Feed (no items array)';
+      } catch {
+        return 'Invalid JSON';
+      }
+    }
+    
+    const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+    if (xmlDoc.querySelector('parsererror')) {
+      return /^\s*<!doctype html|^\s*<html/i.test(text) ? 'Response is an HTML page, not a feed' : 'Not valid XML';
+    }
+    
+    const root = xmlDoc.documentElement?.localName;
+    if (!['rss', 'feed', 'RDF'].includes(root)) {
+      return `Unrecognized feed format <${root}>`;
+    }
+    
+    return 'Feed has no items with a title and link';
+  }
+  
+  /**
+   * Re-attach current source details to articles from a cache record
+   */
+  restoreCachedArticles(cached, source) {
+    return cached.articles.map(article => ({
+      ...article,
+      source: {
+        id: source.id,
+        name: source.name,
+        verified: source.verified || false,
+        isCustom: source.isCustom || false
+      },
+      category: source.category
+    }));
+  }
+  
+  /**
+   * Render cached articles for the active sources before the network finishes
+   */
+  async renderCachedArticles() {
+    const activeSources = this.getActiveSources();
+    const records = await Promise.all(activeSources.map(source => this.getCachedFeed(source.url)));
+    
+    this.allArticles = [];
+    records.forEach((record, index) => {
+      if (record) {
+        const articles = this.restoreCachedArticles(record, activeSources[index]);
+        this.allArticles.push(...articles);
+      }
+    });
+    
+    if (this.allArticles.length === 0) return;
+    
+    console.log(`⚡ Rendering ${this.allArticles.length} cached articles`);
+    
+    this.processAllArticles();
+    this.updateCategoryButtons();
+    this.filterAndDisplayArticles();
+  }
+  
+  /**
+   * Fetch a feed with retries and exponential backoff for 5xx and network errors
+   */
+  async fetchWithRetry(url, options = {}) {
+    for (let attempt = 0; ; attempt++) {
+      let retryReason;
+      
+      try {
+        const response = await this.fetchFeed(url, options);
+        if (response.status < 500 || attempt >= this.fetchRetries) {
+          return response;
+        }
+        retryReason = `HTTP ${response.status}`;
+      } catch (error) {
+        if (error.name === 'AbortError' || attempt >= this.fetchRetries || !navigator.onLine) throw error;
+        retryReason = error.message;
+      }
+      
+      // Exponential backoff with jitter (50-100% of the delay)
+      const delay = this.retryBaseDelay * 2 ** attempt;
+      const jitteredDelay = delay / 2 + Math.random() * delay / 2;
+      
+      console.warn(`🔁 Retrying ${url} in ${Math.round(jitteredDelay)}ms (${retryReason})`);
+      await this.sleep(jitteredDelay, options.signal);
+    }
+  }
+  
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   */
+  sleep(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Aborted', 'AbortError'));
+        return;
+      }
+      
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      };
+      
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * Fetch with a per-request timeout, also honouring the caller's abort signal.
+   * The body is read under the same timeout (a feed can stall after its
+   * headers) and returned as a buffered response.
+   */
+  async fetchWithTimeout(url, options = {}) {
+    const { signal, ...fetchOptions } = options;
+    const controller = new AbortController();
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.fetchTimeout);
+    
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      const body = [101, 204, 205, 304].includes(response.status) ? null : await response.arrayBuffer();
+      
+      const buffered = new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+      // Keep the final URL after redirects (discovery resolves links against it)
+      Object.defineProperty(buffered, 'url', { value: response.url });
+      return buffered;
+    } catch (error) {
+      // Timeouts are ordinary failures (try the next proxy / retry), not cancellations
+      if (timedOut) {
+        throw new Error(`Request timed out after ${this.fetchTimeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  /**
+   * Fetch a feed URL through the configured proxy chain.
+   * Network errors and proxy-side failures (5xx, 429) fall back to the next proxy.
+   */
+  async fetchFeed(url, options = {}) {
+    const chain = this.getProxyChain();
+    let lastResponse = null;
+    let lastError = null;
+    
+    for (const proxy of chain) {
+      try {
+        const response = await this.fetchWithTimeout(this.buildProxyUrl(proxy, url), options);
+        
+        if (response.status < 500 && response.status !== 429) {
+          return response;
+        }
+        
+        lastResponse = response;
+        console.warn(`⚠️ Proxy ${proxy} returned HTTP ${response.status} for ${url}`);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        
+        lastError = error;
+        console.warn(`⚠️ Proxy ${proxy} failed for ${url}:`, error.message);
+      }
+    }
+    
+    if (lastResponse) return lastResponse;
+    throw lastError || new Error('No proxy configured');
+  }
+  
+  /**
+   * Get the ordered proxy chain from preferences
+   */
+  getProxyChain() {
+    const proxies = (this.userPreferences.proxies || []).filter(Boolean);
+    return proxies.length > 0 ? proxies : this.defaultProxies;
+  }
+  
+  /**
+   * Build the request URL for a proxy ("{url}" placeholder or URL prefix)
+   */
+  buildProxyUrl(proxy, url) {
+    if (proxy === 'direct') return url;
+    
+    const encoded = encodeURIComponent(url);
+    return proxy.includes('{url}') ? proxy.replace('{url}', encoded) : `${proxy}${encoded}`;
+  }
+  
+  /**
+   * Validate a proxy chain entry ('direct', an https URL, or a local http URL)
+   */
+  isValidProxy(proxy) {
+    if (proxy === 'direct') return true;
+    
+    try {
+      const urlObj = new URL(proxy.replace('{url}', ''));
+      const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(urlObj.hostname);
+      return urlObj.protocol === 'https:' || (urlObj.protocol === 'http:' && isLocal);
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Parse RSS or Atom feed XML and extract articles
+   */
+  parseRSSFeed(xmlText, source) {
+    try {
+      const parser = new DOMParser();
+      const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
+      
+      // Check for parsing errors
+      const parserError = xmlDoc.querySelector('parsererror');
+      if (parserError) {
+        throw new Error('XML parsing failed');
+      }
+      
+      // Atom feeds use <feed><entry>, RSS uses <rss><channel><item>
+      const isAtom = xmlDoc.documentElement?.localName === 'feed';
+      const items = xmlDoc.querySelectorAll(isAtom ? 'entry' : 'item');
+      const articles = [];
+      
+      // Keep the whole feed; only runaway feeds are cut off
+      Array.from(items).slice(0, this.maxItemsPerFeed).forEach(item => {
+        const article = isAtom
+          ? this.extractArticleFromEntry(item, source)
+          : this.extractArticleFromItem(item, source);
+        if (article) {
+          articles.push(article);
+        }
+      });
+      
+      return articles;
+      
+    } catch (error) {
+      console.error('RSS parsing failed:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Extract article data from RSS item
+   */
+  extractArticleFromItem(item, source) {
+    try {
+      const ns = this.feedNamespaces;
+      const title = this.getElementText(item, 'title');
+      const contentHtml = this.getNSText(item, ns.content, 'encoded');
+      const description = this.getElementText(item, 'description') || contentHtml;
+      const link = this.getRSSLink(item);
+      const guid = this.getElementText(item, 'guid');
+      const pubDate = this.getElementText(item, 'pubDate') || this.getNSText(item, ns.dc, 'date');
+      const author = this.getNSText(item, ns.dc, 'creator') || this.parseRSSAuthor(this.getElementText(item, 'author'));
+      
+      const tags = [
+        ...Array.from(item.children).filter(child => child.localName === 'category' && !child.namespaceURI),
+        ...this.getNSElements(item, ns.dc, 'subject')
+      ].map(element => element.textContent);
+      
+      return this.buildArticle({ title, description, link, guid, pubDate, author, tags, contentHtml }, item, source);
+      
+    } catch (error) {
+      console.error('Failed to extract article:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Extract article data from Atom entry
+   */
+  extractArticleFromEntry(entry, source) {
+    try {
+      const title = this.getElementText(entry, 'title');
+      const description = this.getAtomText(entry, 'summary') || this.getAtomText(entry, 'content');
+      const link = this.getAtomLink(entry);
+      const guid = Array.from(entry.children).find(child => child.localName === 'id')?.textContent.trim() || '';
+      const pubDate = this.getElementText(entry, 'published') || this.getElementText(entry, 'updated');
+      const author = Array.from(entry.querySelectorAll('author > name')).map(name => name.textContent.trim()).join(', ');
+      const contentHtml = this.getAtomText(entry, 'content');
+      const tags = Array.from(entry.querySelectorAll('category'))
+        .map(category => category.getAttribute('label') || category.getAttribute('term') || '');
+      
+      return this.buildArticle({ title, description, link, guid, pubDate, author, tags, contentHtml }, entry, source);
+      
+    } catch (error) {
+      console.error('Failed to extract Atom entry:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Build a normalized article object from extracted feed fields
+   */
+  buildArticle({ title, description, link, guid = '', pubDate, author, imageCandidates = [], tags = [], contentHtml = '' }, item, source) {
+    const url = link && this.sanitizeUrl(link);
+    
+    // Links must be http(s); anything else (javascript:, data:) drops the item
+    if (!title || !url) {
+      return null;
+    }
+    
+    const image = this.extractImage(item, [contentHtml, description], imageCandidates, url);
+    
+    const publishedAt = this.parseDate(pubDate);
+    
+    return {
+      id: this.generateArticleId(this.getArticleIdentity(guid, url, source)),
+      title: this.sanitizeText(title),
+      summary: this.sanitizeText(description) || this.generateSummary(title),
+      summaryHtml: this.createSummaryHtml(description),
+      url: url,
+      imageUrl: image?.url || null,
+      imageWidth: image?.width || null,
+      imageHeight: image?.height || null,
+      publishedAt: publishedAt,
+      dateUnknown: !publishedAt,
+      author: this.sanitizeText(author),
+      tags: this.normalizeTags(tags),
+      contentHtml: this.sanitizeHtml(contentHtml),
+      source: {
+        id: source.id,
+        name: source.name,
+        verified: source.verified || false,
+        isCustom: source.isCustom || false
+      },
+      category: source.category,
+      loadedAt: Date.now()
+    };
+  }
+  
+  /**
+   * Detect a JSON Feed response by content-type or leading brace
+   */
+  isJSONFeed(response, text) {
+    const contentType = response.headers.get('content-type') || '';
+    return /application\/(feed\+)?json/i.test(contentType) || text.trimStart().startsWith('{');
+  }
+  
+  /**
+   * Parse JSON Feed (jsonfeed.org 1.0/1.1) and extract articles
+   */
+  parseJSONFeed(jsonText, source) {
+    try {
+      const feed = JSON.parse(jsonText);
+      
+      if (!feed || !Array.isArray(feed.items)) {
+        throw new Error('JSON Feed has no items array');
+      }
+      
+      const articles = [];
+      
+      feed.items.slice(0, this.maxItemsPerFeed).forEach(item => {
+        const article = this.extractArticleFromJSONItem(item, source);
+        if (article) {
+          articles.push(article);
+        }
+      });
+      
+      return articles;
+      
+    } catch (error) {
+      console.error('JSON Feed parsing failed:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Extract article data from a JSON Feed item
+   */
+  extractArticleFromJSONItem(item, source) {
+    try {
+      const description = item.content_html || item.summary || item.content_text || '';
+      const plainText = this.sanitizeText(item.summary || item.content_text || item.content_html);
+      
+      // Title is optional in JSON Feed (micro-blog posts often omit it)
+      const title = item.title || this.generateSummary(plainText);
+      const link = item.url || item.external_url || '';
+      const guid = item.id !== undefined && item.id !== null ? String(item.id) : '';
+      const pubDate = item.date_published || item.date_modified || '';
+      
+      // 1.1 uses an authors array, 1.0 a single author object
+      const authors = Array.isArray(item.authors) ? item.authors : (item.author ? [item.author] : []);
+      const author = authors.map(a => a && a.name).filter(Boolean).join(', ');
+      
+      const imageCandidates = [{ url: item.image }, { url: item.banner_image }];
+      
+      const tags = Array.isArray(item.tags) ? item.tags.filter(tag => typeof tag === 'string') : [];
+      const contentHtml = item.content_html || '';
+      
+      return this.buildArticle({ title, description, link, guid, pubDate, author, imageCandidates, tags, contentHtml }, null, source);
+      
+    } catch (error) {
+      console.error('Failed to extract JSON Feed item:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the article link from an Atom entry (rel="alternate" or no rel)
+   */
+  getAtomLink(entry) {
+    const links = Array.from(entry.querySelectorAll('link'));
+    const alternate = links.find(link => {
+      const rel = link.getAttribute('rel');
+      return !rel || rel === 'alternate';
+    }) || links[0];
+    
+    return alternate ? (alternate.getAttribute('href') || '').trim() : '';
+  }
+  
+  /**
+   * Get text from an Atom text construct (type="text", "html" or "xhtml")
+   */
+  getAtomText(entry, tagName) {
+    const element = entry.querySelector(tagName);
+    if (!element) return '';
+    
+    // xhtml content is inline markup wrapped in a <div>, html content is escaped
+    if (element.getAttribute('type') === 'xhtml') {
+      const wrapper = element.firstElementChild;
+      const serializer = new XMLSerializer();
+      return wrapper
+        ? Array.from(wrapper.childNodes).map(node => serializer.serializeToString(node)).join('').trim()
+        : element.textContent.trim();
+    }
+    
+    return element.textContent.trim();
+  }
+  
+  /**
+   * Get text content from XML element
+   */
+  getElementText(parent, tagName) {
+    const element = parent.querySelector(tagName);
+    return element ? element.textContent.trim() : '';
+  }
+  
+  /**
+   * Get elements in a namespace (e.g. dc:creator) below a parent
+   */
+  getNSElements(parent, namespace, localName) {
+    return Array.from(parent.getElementsByTagNameNS(namespace, localName));
+  }
+  
+  /**
+   * Get trimmed text of the first namespaced element below a parent
+   */
+  getNSText(parent, namespace, localName) {
+    const element = parent.getElementsByTagNameNS(namespace, localName)[0];
+    return element ? element.textContent.trim() : '';
+  }
+  
+  /**
+   * Get an RSS item's link, falling back to a permalink guid.
+   * Only un-namespaced <link> counts (atom:link inside items has no text).
+   */
+  getRSSLink(item) {
+    const link = Array.from(item.children).find(child =>
+      child.localName === 'link' && child.namespaceURI !== this.feedNamespaces.atom && child.textContent.trim()
+    );
+    if (link) return link.textContent.trim();
+    
+    // RDF (RSS 1.0) items carry the link in rdf:about
+    const about = item.getAttributeNS('http://www.w3.org/1999/02/22-rdf-syntax-ns#', 'about');
+    if (about) return about;
+    
+    const guid = item.querySelector('guid');
+    if (guid && guid.getAttribute('isPermaLink') !== 'false') {
+      return guid.textContent.trim();
+    }
+    
+    return '';
+  }
+  
+  /**
+   * Parse the RSS 2.0 <author> field ("email (Name)") into a display name
+   */
+  parseRSSAuthor(value) {
+    if (!value) return '';
+    
+    const named = value.match(/\(([^)]+)\)/);
+    if (named) return named[1];
+    
+    // A bare email address is not useful as a byline
+    return /^[^\s@]+@[^\s@]+$/.test(value) ? '' : value;
+  }
+  
+  /**
+   * Clean, deduplicate and cap article tags
+   */
+  normalizeTags(tags) {
+    const seen = new Set();
+    const result = [];
+    
+    tags.forEach(tag => {
+      const clean = this.sanitizeText(tag).substring(0, 40);
+      const key = clean.toLowerCase();
+      if (clean && !seen.has(key)) {
+        seen.add(key);
+        result.push(clean);
+      }
+    });
+    
+    return result.slice(0, 10);
+  }
+  
+  /**
+   * Pick the best image for an item. Candidates are tiered: images the feed
+   * names explicitly, then media:*, enclosures, <img> in the item HTML and
+   * finally podcast artwork; within a tier the largest declared size wins.
+   */
+  extractImage(item, htmlFragments, feedCandidates, baseUrl) {
+    const ns = this.feedNamespaces;
+    const candidates = feedCandidates.map(candidate => ({ ...candidate, tier: 0 }));
+    
+    if (item) {
+      [
+        ...this.getNSElements(item, ns.media, 'content'),
+        ...this.getNSElements(item, ns.media, 'thumbnail')
+      ].forEach(element => {
+        const medium = element.getAttribute('medium');
+        const type = element.getAttribute('type') || '';
+        
+        // media:content may also be video or audio
+        if (element.localName === 'content' && (medium ? medium !== 'image' : (type && !type.startsWith('image/')))) {
+          return;
+        }
+        
+        candidates.push({
+          url: element.getAttribute('url'),
+          width: parseInt(element.getAttribute('width'), 10),
+          height: parseInt(element.getAttribute('height'), 10),
+          tier: 1
+        });
+      });
+      
+      item.querySelectorAll('enclosure').forEach(enclosure => {
+        const type = enclosure.getAttribute('type') || '';
+        if (type.startsWith('image/') || (!type && /\.(jpe?g|png|gif|webp|avif)$/i.test(enclosure.getAttribute('url') || ''))) {
+          candidates.push({ url: enclosure.getAttribute('url'), tier: 2 });
+        }
+      });
+      
+      // Podcast artwork is usually the same for every episode, so it comes last
+      const itunesImage = item.getElementsByTagNameNS(ns.itunes, 'image')[0];
+      if (itunesImage) {
+        candidates.push({ url: itunesImage.getAttribute('href'), tier: 4 });
+      }
+    }
+    
+    htmlFragments.forEach(html => {
+      this.extractHtmlImageCandidates(html).forEach(candidate => candidates.push({ ...candidate, tier: 3 }));
+    });
+    
+    return this.selectBestImage(candidates, baseUrl);
+  }
+  
+  /**
+   * Collect <img> candidates from an HTML fragment, reading srcset and
+   * lazy-loading attributes and skipping emoji, icons and tracking pixels
+   */
+  extractHtmlImageCandidates(html) {
+    if (!html || !/<img/i.test(html)) return [];
+    
+    const candidates = [];
+    
+    this.parseHtmlFragment(html).querySelectorAll('img').forEach(img => {
+      if (/emoji|smiley|avatar|icon/i.test(img.getAttribute('class') || '')) return;
+      
+      const width = parseInt(img.getAttribute('width'), 10);
+      const height = parseInt(img.getAttribute('height'), 10);
+      const srcset = this.parseSrcset(img.getAttribute('srcset') || img.getAttribute('data-srcset'));
+      
+      if (srcset) {
+        // Only a width descriptor is known; scale the declared height to match
+        const scaledHeight = srcset.width && width && height ? Math.round(srcset.width * height / width) : height;
+        candidates.push({ url: srcset.url, width: srcset.width || width, height: scaledHeight });
+      }
+      
+      const src = img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || img.getAttribute('src');
+      if (src) {
+        candidates.push({ url: src, width, height });
+      }
+    });
+    
+    return candidates;
+  }
+  
+  /**
+   * Pick the largest entry of a srcset ("a.jpg 320w, b.jpg 640w" or "a.jpg 1x, b.jpg 2x")
+   */
+  parseSrcset(srcset) {
+    if (!srcset) return null;
+    
+    let best = null;
+    
+    // Split on commas followed by whitespace so CDN URLs with commas survive
+    srcset.split(/,\s+/).forEach(entry => {
+      const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+      const value = parseFloat(descriptor) || 1;
+      const width = descriptor.endsWith('w') ? value : 0;
+      const score = width || value;
+      
+      if (url && (!best || score > best.score)) {
+        best = { url, width, score };
+      }
+    });
+    
+    return best && { url: best.url, width: best.width || null };
+  }
+  
+  /**
+   * Choose from image candidates: lowest tier first, then the largest declared
+   * size. Returns { url, width, height } or null.
+   */
+  selectBestImage(candidates, baseUrl) {
+    let best = null;
+    
+    candidates.forEach(candidate => {
+      const url = this.normalizeImageUrl(candidate.url, baseUrl);
+      if (!url) return;
+      
+      const width = candidate.width > 0 ? candidate.width : null;
+      const height = candidate.height > 0 ? candidate.height : null;
+      
+      // Declared as tiny: a tracking pixel or an inline icon
+      if ((width && width < this.minImageSize) || (height && height < this.minImageSize)) return;
+      
+      const area = (width || 0) * (height || width || 0);
+      
+      if (!best || candidate.tier < best.tier || (candidate.tier === best.tier && area > best.area)) {
+        best = { url, width, height, tier: candidate.tier, area };
+      }
+    });
+    
+    return best && { url: best.url, width: best.width, height: best.height };
+  }
+  
+  /**
+   * Resolve an image URL against the article, upgrade it to https and validate it
+   */
+  normalizeImageUrl(url, baseUrl) {
+    if (!url || typeof url !== 'string') return null;
+    
+    try {
+      const resolved = this.upgradeToHttps(new URL(url.trim(), baseUrl || undefined).toString());
+      return this.isValidImageUrl(resolved) ? resolved : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Validate image URL. CDN images often have no extension (resizer query
+   * strings, /image/upload/...), so only obvious non-images and trackers are rejected.
+   */
+  isValidImageUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return (urlObj.protocol === 'https:' || urlObj.protocol === 'http:') &&
+             !/\.(mp4|m4v|mov|webm|mp3|m4a|ogg|wav|pdf|html?|php|js|css|zip)$/i.test(urlObj.pathname) &&
+             !/(^|\.)(feeds\.feedburner\.com|pixel\.wp\.com|stats\.wordpress\.com|feedsportal\.com)$/i.test(urlObj.hostname) &&
+             !/\/(pixel|beacon|tracking)(\.gif)?$/i.test(urlObj.pathname);
+    } catch {
+      return false;
+    }
+  }
+  
+  /**
+   * Look up images for displayed articles that have none, using the article
+   * page's og:image (opt-in; results are cached per URL)
+   */
+  async fillMissingImages(articles, signal) {
+    const missing = articles.filter(article => !article.imageUrl).slice(0, this.maxPageImageLookups);
+    if (missing.length === 0) return;
+    
+    let found = 0;
+    const tasks = missing.map(article => async () => {
+      if (signal.aborted) return;
+      
+      const imageUrl = await this.lookupPageImage(article.url, signal);
+      if (imageUrl && !signal.aborted) {
+        article.imageUrl = imageUrl;
+        this.updateCardImage(article);
+        found++;
+      }
+    });
+    
+    await this.runWithConcurrency(tasks, this.pageImageConcurrency);
+    
+    console.log(`🖼️ Found ${found} of ${missing.length} missing images from article pages`);
+    if (found > 0 && !signal.aborted) {
+      this.saveArticleSnapshot();
+    }
+  }
+  
+  /**
+   * Get an article page's og:image, from the cache when checked recently
+   */
+  async lookupPageImage(pageUrl, signal) {
+    const cached = await this.getCachedPageImage(pageUrl);
+    if (cached && Date.now() - cached.checkedAt < this.pageImageCacheTtl) {
+      return cached.imageUrl;
+    }
+    
+    let imageUrl = null;
+    
+    try {
+      const response = await this.fetchFeed(pageUrl, { signal, headers: { 'Accept': 'text/html' } });
+      if (!response.ok) return null;
+      
+      imageUrl = this.findPageImage(await response.text(), pageUrl);
+    } catch (error) {
+      // Transient failures aren't cached so the next load can try again
+      if (error.name !== 'AbortError') {
+        console.warn(`Image lookup failed for ${pageUrl}:`, error.message);
+      }
+      return null;
+    }
+    
+    await this.putCachedPageImage({ url: pageUrl, imageUrl, checkedAt: Date.now() });
+    return imageUrl;
+  }
+  
+  /**
+   * Read the preview image a page declares for social sharing
+   */
+  findPageImage(html, pageUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const selectors = [
+      'meta[property="og:image:secure_url"]',
+      'meta[property="og:image"]',
+      'meta[name="twitter:image"]',
+      'meta[name="twitter:image:src"]'
+    ];
+    
+    for (const selector of selectors) {
+      const url = this.normalizeImageUrl(doc.querySelector(selector)?.getAttribute('content'), pageUrl);
+      if (url) return url;
+    }
+    
+    return this.normalizeImageUrl(doc.querySelector('link[rel="image_src"]')?.getAttribute('href'), pageUrl);
+  }
+  
+  /**
+   * Get a cached page image lookup
+   */
+  async getCachedPageImage(url) {
+    try {
+      return await this.runStoreRequest('pageImages', 'readonly', store => store.get(url)) || null;
+    } catch (error) {
+      console.warn('Failed to read image cache:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Store a page image lookup (including misses) in the cache
+   */
+  async putCachedPageImage(record) {
+    try {
+      await this.runStoreRequest('pageImages', 'readwrite', store => store.put(record));
+    } catch (error) {
+      console.warn('Failed to write image cache:', error);
+    }
+  }
+  
+  /**
+   * Add an image found after rendering to the article's card
+   */
+  updateCardImage(article) {
+    const card = Array.from(document.querySelectorAll('#newsGrid .news-card'))
+      .find(element => element.dataset.articleId === article.id);
+    
+    if (card && !card.querySelector('.news-card__media')) {
+      const media = this.createArticleMedia(article);
+      if (media) card.prepend(media);
+    }
+  }
+  
+  /**
+   * Get the string an article's id is derived from: its guid / atom:id, or
+   * else its canonical URL. Bare guids ("12345") are only unique within a
+   * feed, so they are scoped to the feed URL; URL and URN guids are global.
+   */
+  getArticleIdentity(guid, url, source) {
+    const id = (guid || '').trim();
+    
+    if (id) {
+      if (/^(https?|urn|tag):/i.test(id)) {
+        return /^https?:/i.test(id) ? this.canonicalizeUrl(id) : id;
+      }
+      return `${source.url || source.id}#${id}`;
+    }
+    
+    return this.canonicalizeUrl(url);
+  }
+  
+  /**
+   * Normalize a URL so the same page always gives the same string: https,
+   * lowercase host without www, no fragment or tracking parameters, sorted
+   * query and no trailing slash
+   */
+  canonicalizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      
+      urlObj.protocol = 'https:';
+      urlObj.hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+      urlObj.hash = '';
+      
+      Array.from(urlObj.searchParams.keys()).forEach(key => {
+        if (this.trackingParams.test(key)) {
+          urlObj.searchParams.delete(key);
+        }
+      });
+      urlObj.searchParams.sort();
+      
+      if (urlObj.pathname.length > 1) {
+        urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+      }
+      
+      return urlObj.toString();
+    } catch {
+      return url;
+    }
+  }
+  
+  /**
+   * Generate a stable article ID: a 128-bit hash (four independently seeded
+   * 32-bit lanes) of the article's identity, so ids survive headline edits
+   * and don't collide the way a single 32-bit hash does
+   */
+  generateArticleId(identity) {
+    let h1 = 0x6a09e667;
+    let h2 = 0xbb67ae85;
+    let h3 = 0x3c6ef372;
+    let h4 = 0xa54ff53a;
+    
+    for (let i = 0; i < identity.length; i++) {
+      const char = identity.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ char, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ char, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ char, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ char, 2716044179);
+    }
+    
+    // Final avalanche so every input bit affects every output lane
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= h2 ^ h3 ^ h4;
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    
+    return [h1, h2, h3, h4].map(hash => (hash >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+  
+  /**
+   * Sanitize text content: strip markup and decode entities to plain text
+   */
+  sanitizeText(text) {
+    if (!text) return '';
+    
+    // Plain text needs no parsing
+    if (!/[<&]/.test(text)) {
+      return text.replace(/\s+/g, ' ').trim();
+    }
+    
+    const body = this.parseHtmlFragment(text);
+    body.querySelectorAll('script, style, template').forEach(element => element.remove());
+    
+    // Keep words in adjacent blocks apart ("</p><p>" and "<br>")
+    body.querySelectorAll('br, p, div, li, h1, h2, h3, h4, h5, h6, blockquote, tr').forEach(element => {
+      element.after(' ');
+    });
+    
+    return body.textContent.replace(/\s+/g, ' ').trim();
+  }
+  
+  /**
+   * Escape a value for interpolation into HTML text or attribute values
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  /**
+   * Parse an HTML fragment into an inert document body (no scripts run, nothing loads)
+   */
+  parseHtmlFragment(html) {
+    return new DOMParser().parseFromString(html, 'text/html').body;
+  }
+  
+  /**
+   * Create an element with an optional class name and text content
+   */
+  createTextElement(tagName, className = '', text = '') {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+  
+  /**
+   * Sanitize feed HTML against the allowlist into a fragment of this document.
+   * Unknown elements are unwrapped, dangerous ones dropped with their content,
+   * and every attribute except http(s) link targets is discarded.
+   */
+  createSafeFragment(html) {
+    const fragment = document.createDocumentFragment();
+    
+    if (html) {
+      this.copySafeNodes(this.parseHtmlFragment(html), fragment);
+    }
+    
+    return fragment;
+  }
+  
+  /**
+   * Recursively copy allowlisted nodes from a parsed tree into a target node
+   */
+  copySafeNodes(source, target) {
+    source.childNodes.forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        target.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+      
+      if (node.nodeType !== Node.ELEMENT_NODE || this.droppedHtmlTags.has(node.localName)) {
+        return;
+      }
+      
+      if (!this.allowedHtmlTags.has(node.localName)) {
+        this.copySafeNodes(node, target);
+        return;
+      }
+      
+      let element;
+      
+      if (node.localName === 'a') {
+        const href = this.sanitizeUrl(node.getAttribute('href'));
+        
+        // Relative or non-http links can't be followed from here; keep the text
+        if (!href) {
+          this.copySafeNodes(node, target);
+          return;
+        }
+        
+        element = document.createElement('a');
+        element.href = href;
+        element.target = '_blank';
+        element.rel = 'noopener noreferrer';
+      } else {
+        element = document.createElement(node.localName);
+      }
+      
+      this.copySafeNodes(node, element);
+      target.appendChild(element);
+    });
+  }
+  
+  /**
+   * Sanitize feed HTML to an allowlisted HTML string (safe to store and re-render)
+   */
+  sanitizeHtml(html) {
+    if (!html) return '';
+    
+    const container = document.createElement('div');
+    container.appendChild(this.createSafeFragment(html));
+    return container.innerHTML.trim();
+  }
+  
+  /**
+   * Keep formatted summaries only for short HTML descriptions; plain text and
+   * full-article bodies fall back to the plain-text summary
+   */
+  createSummaryHtml(description) {
+    if (!description || !/<[a-z]/i.test(description)) return '';
+    
+    const html = this.sanitizeHtml(description);
+    return html.length <= this.maxSummaryHtmlLength ? html : '';
+  }
+  
+  /**
+   * Sanitize and validate URLs
+   */
+  sanitizeUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      return urlObj.protocol === 'https:' || urlObj.protocol === 'http:' 
+        ? urlObj.toString() 
+        : null;
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Parse a feed date (RFC 3339, RFC 822 or a common malformed variant) to
+   * ISO format. Returns null when no usable date is found; future dates are
+   * clamped to now so they can't pin themselves to the top of the list.
+   */
+  parseDate(dateString) {
+    if (!dateString) return null;
+    
+    const value = String(dateString).trim().replace(/\s+/g, ' ');
+    const timestamp = this.parseRFC3339Date(value) ?? this.parseRFC822Date(value) ?? Date.parse(value);
+    
+    // Epoch-zero and similar placeholder dates are as good as missing
+    if (!Number.isFinite(timestamp) || timestamp < Date.UTC(1995, 0, 1)) {
+      return null;
+    }
+    
+    return new Date(Math.min(timestamp, Date.now())).toISOString();
+  }
+  
+  /**
+   * Parse RFC 3339 / ISO 8601 dates; a missing zone is read as UTC.
+   * Returns null if the format doesn't match, NaN if it matches but is invalid.
+   */
+  parseRFC3339Date(value) {
+    const match = value.match(
+      /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,]\d+)?)?)? ?(Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?)?$/i
+    );
+    if (!match) return null;
+    
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, zone] = match;
+    const utc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    
+    return this.isValidDateParts(year, month, day, hours, minutes, seconds)
+      ? utc - this.getZoneOffsetMinutes(zone) * 60000
+      : NaN;
+  }
+  
+  /**
+   * Parse RFC 822 dates and the usual deviations: missing weekday, two-digit
+   * years, full month names, missing seconds or time, named zones
+   */
+  parseRFC822Date(value) {
+    const match = value.match(
+      /^(?:[a-z]+,? )?(\d{1,2})[ -]([a-z]{3,9})\.?[ -](\d{2}|\d{4})(?:,? (\d{1,2}):(\d{2})(?::(\d{2}))?)?(?: ?([a-z]{1,5}|[+-]\d{2}:?\d{2}))?(?: \(.*\))?$/i
+    );
+    if (!match) return null;
+    
+    const [, day, monthName, rawYear, hours = 0, minutes = 0, seconds = 0, zone] = match;
+    const month = this.monthNames.indexOf(monthName.substring(0, 3).toLowerCase()) + 1;
+    if (month === 0) return NaN;
+    
+    // RFC 822 two-digit years: 00-49 are 2000s, 50-99 are 1900s
+    let year = Number(rawYear);
+    if (rawYear.length === 2) {
+      year += year < 50 ? 2000 : 1900;
+    }
+    
+    const offset = this.getZoneOffsetMinutes(zone);
+    if (offset === null || !this.isValidDateParts(year, month, day, hours, minutes, seconds)) {
+      return NaN;
+    }
+    
+    return Date.UTC(year, month - 1, day, hours, minutes, seconds) - offset * 60000;
+  }
+  
+  /**
+   * Convert a zone designator (Z, +05:30, -0400, EDT) to minutes east of UTC.
+   * A missing zone counts as UTC; an unknown name returns null.
+   */
+  getZoneOffsetMinutes(zone) {
+    if (!zone) return 0;
+    
+    const numeric = zone.match(/^([+-])(\d{2}):?(\d{2})?$/);
+    if (numeric) {
+      const minutes = Number(numeric[2]) * 60 + Number(numeric[3] || 0);
+      return numeric[1] === '-' ? -minutes : minutes;
+    }
+    
+    const name = zone.toUpperCase();
+    if (name in this.timeZoneOffsets) {
+      return this.timeZoneOffsets[name];
+    }
+    
+    // RFC 822 military zones are unreliable in practice and read as UTC
+    return /^[A-IK-Z]$/.test(name) ? 0 : null;
+  }
+  
+  /**
+   * Reject overflowing components that Date.UTC would silently roll over
+   */
+  isValidDateParts(year, month, day, hours, minutes, seconds) {
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth &&
+      hours <= 23 && minutes <= 59 && seconds <= 60;
+  }
+  
+  /**
+   * Format a timestamp with its local time zone for tooltips
+   */
+  formatFullDate(dateString) {
+    return new Date(dateString).toLocaleString(undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZoneName: 'short'
+    });
+  }
+  
+  /**
+   * Generate summary from title if description not available
+   */
+  generateSummary(title) {
+    return title.length > 100 ? title.substring(0, 100) + '...' : title;
+  }
+  
+  /**
+   * Get active sources based on user preferences
+   */
+  getActiveSources() {
+    const sources = [];
+    
+    this.userPreferences.categories.forEach(category => {
+      const categoryKey = category.replace(/\s+/g, '').toLowerCase();
+      
+      // Add default sources for this category
+      if (this.defaultSources[categoryKey]) {
+        const selectedSources = this.userPreferences.sources[categoryKey] || [];
+        
+        this.defaultSources[categoryKey].forEach(source => {
+          if (selectedSources.includes(source.id)) {
+            sources.push({
+              ...source,
+              category: categoryKey,
+              isCustom: false
+            });
+          }
+        });
+      }
+      
+      // Add custom sources for this category
+      if (this.userPreferences.customSources[categoryKey]) {
+        this.userPreferences.customSources[categoryKey].forEach(customSource => {
+          sources.push({
+            ...customSource,
+            category: categoryKey,
+            verified: false,
+            isCustom: true
+          });
+        });
+      }
+    });
+    
+    return sources;
+  }
+  
+  /**
+   * Process all loaded articles with deduplication and limits
+   */
+  processAllArticles() {
+    // Split off muted items before removing exact duplicates, so a muted copy
+    // never hides another source's identical story; then group rewordings
+    const visibleArticles = this.deduplicateArticles(this.separateMutedArticles(this.allArticles));
+    const stories = this.clusterArticles(visibleArticles);
+    
+    // Sort by publish date (newest first)
+    stories.sort((a, b) => this.compareArticles(a, b));
+    
+    // Everything is kept; the page and per-source limits apply when displaying
+    this.articles = stories;
+    
+    console.log(`📊 Processed ${this.articles.length} stories from ${this.allArticles.length} total (${this.mutedArticles.length} muted)`);
+    this.updateMutedIndicator();
+    this.indexArticles(this.articles);
+    this.recordFirstSeen(this.articles);
+    this.updateUnreadCounts();
+  }
+  
+  /**
+   * Split muted articles off into this.mutedArticles, returning the rest
+   */
+  separateMutedArticles(articles) {
+    this.mutedArticles = [];
+    const mutedKeys = new Set();
+    
+    return articles.filter(article => {
+      const match = this.getMuteMatch(article);
+      if (match) {
+        this.addMutedArticle(article, match, mutedKeys);
+      }
+      return !match;
+    });
+  }
+  
+  /**
+   * Record a muted article unless a copy of it is already in the muted list
+   */
+  addMutedArticle(article, match, mutedKeys) {
+    const keys = this.getDedupeKeys(article);
+    if (keys.some(key => mutedKeys.has(key))) return;
+    
+    keys.forEach(key => mutedKeys.add(key));
+    this.mutedArticles.push({ article, match });
+  }
+  
+  /**
+   * Find the mute rule hiding an article: a keyword in its headline, its
+   * source (in one category or everywhere) or its link domain
+   */
+  getMuteMatch(article) {
+    const rules = this.userPreferences.muteRules;
+    
+    const keyword = this.getCompiledMuteKeywords().find(({ pattern }) => pattern.test(article.title));
+    if (keyword) {
+      return { type: 'keyword', value: keyword.term, label: `keyword ${keyword.term}` };
+    }
+    
+    const source = rules.sources.find(rule =>
+      rule.sourceId === article.source.id && (!rule.category || rule.category === article.category)
+    );
+    if (source) {
+      const scope = source.category ? ` in ${this.getCategoryDisplayName(source.category)}` : '';
+      return { type: 'source', value: source, label: `source ${article.source.name}${scope}` };
+    }
+    
+    const hostname = this.getHostname(article.url).replace(/^www\./, '');
+    const domain = rules.domains.find(muted => hostname === muted || hostname.endsWith(`.${muted}`));
+    if (domain) {
+      return { type: 'domain', value: domain, label: `domain ${domain}` };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Compile muted keyword terms, recompiling only when they change
+   */
+  getCompiledMuteKeywords() {
+    const keywords = this.userPreferences.muteRules.keywords;
+    const signature = keywords.join('\n');
+    
+    if (signature !== this.compiledMuteSignature) {
+      this.compiledMuteSignature = signature;
+      this.compiledMuteKeywords = keywords
+        .map(term => ({ term, pattern: this.parseRuleTerm(term) }))
+        .filter(keyword => keyword.pattern);
+    }
+    
+    return this.compiledMuteKeywords;
+  }
+  
+  /**
+   * Add a mute rule, save it and re-filter the loaded articles
+   */
+  addMuteRule(type, value) {
+    const rules = this.userPreferences.muteRules;
+    
+    if (type === 'keyword' && !rules.keywords.includes(value)) {
+      rules.keywords.push(value);
+    } else if (type === 'domain' && !rules.domains.includes(value)) {
+      rules.domains.push(value);
+    } else if (type === 'source' && !rules.sources.some(rule =>
+      rule.sourceId === value.sourceId && rule.category === value.category)) {
+      rules.sources.push(value);
+    }
+    
+    this.saveUserPreferences();
+    this.reprocessArticles();
+  }
+  
+  /**
+   * Remove the mute rule behind a match and bring its articles back
+   */
+  removeMuteRule(match) {
+    const rules = this.userPreferences.muteRules;
+    
+    if (match.type === 'keyword') {
+      rules.keywords = rules.keywords.filter(term => term !== match.value);
+    } else if (match.type === 'domain') {
+      rules.domains = rules.domains.filter(domain => domain !== match.value);
+    } else if (match.type === 'source') {
+      rules.sources = rules.sources.filter(rule =>
+        rule.sourceId !== match.value.sourceId || rule.category !== match.value.category
+      );
+    }
+    
+    this.saveUserPreferences();
+    this.reprocessArticles();
+    this.showNotification(`Unmuted ${match.label}`, 'success');
+  }
+  
+  /**
+   * Re-run processing on the loaded articles after rules change
+   */
+  reprocessArticles() {
+    if (this.allArticles.length === 0) return;
+    
+    this.processAllArticles();
+    this.updateCategoryButtons();
+    this.updateDisplayedArticles();
+  }
+  
+  /**
+   * Show the "Muted items (N)" toggle and keep its review list current
+   */
+  updateMutedIndicator() {
+    const bar = document.getElementById('mutedBar');
+    const toggle = document.getElementById('mutedToggle');
+    const list = document.getElementById('mutedList');
+    const count = this.mutedArticles.length;
+    
+    bar.hidden = count === 0;
+    toggle.textContent = `Muted items (${count})`;
+    
+    if (count === 0) {
+      list.hidden = true;
+      toggle.setAttribute('aria-expanded', 'false');
+    }
+    
+    if (!list.hidden) {
+      this.renderMutedList();
+    }
+  }
+  
+  /**
+   * List muted articles with the rule that hid each one
+   */
+  renderMutedList() {
+    const list = document.getElementById('mutedList');
+    list.innerHTML = '';
+    
+    this.mutedArticles.forEach(({ article, match }, index) => {
+      const item = this.createTextElement('li', 'muted-bar__item');
+      
+      const link = this.createTextElement('a', 'muted-bar__title', article.title);
+      link.href = article.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      
+      const reason = this.createTextElement('span', 'muted-bar__reason', `${article.source.name} · muted by ${match.label}`);
+      
+      const unmuteButton = this.createTextElement('button', 'btn btn--secondary', 'Unmute');
+      unmuteButton.type = 'button';
+      unmuteButton.dataset.mutedIndex = index;
+      unmuteButton.setAttribute('aria-label', `Unmute ${match.label}`);
+      
+      item.append(link, reason, unmuteButton);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Toggle the card's menu of mute actions
+   */
+  toggleMuteMenu(card) {
+    const existingMenu = card.querySelector('.news-card__mute-menu');
+    if (existingMenu) {
+      existingMenu.remove();
+      return;
+    }
+    
+    const article = this.findArticle(card.dataset.articleId);
+    if (!article) return;
+    
+    const menu = this.createTextElement('div', 'news-card__mute-menu');
+    menu.setAttribute('role', 'menu');
+    const domain = this.getHostname(article.url).replace(/^www\./, '');
+    
+    [
+      ['source', `Mute ${article.source.name} in ${this.getCategoryDisplayName(article.category)}`],
+      ['source-all', `Mute ${article.source.name} everywhere`],
+      ['domain', `Mute links to ${domain}`],
+      ['keyword', 'Mute a keyword…']
+    ].forEach(([action, label]) => {
+      const button = this.createTextElement('button', 'news-card__mute-option', label);
+      button.type = 'button';
+      button.dataset.muteAction = action;
+      button.setAttribute('role', 'menuitem');
+      menu.appendChild(button);
+    });
+    
+    card.querySelector('.news-card__content').appendChild(menu);
+    menu.querySelector('button').focus();
+  }
+  
+  /**
+   * Apply a mute action chosen from a card's menu
+   */
+  handleMuteAction(card, action) {
+    const article = this.findArticle(card.dataset.articleId);
+    if (!article) return;
+    
+    if (action === 'keyword') {
+      const term = prompt('Hide headlines containing (keyword, "phrase" or /regex/):', '');
+      if (!term || !term.trim()) return;
+      
+      if (!this.parseRuleTerm(term)) {
+        this.showNotification(`Invalid keyword: ${term}`, 'error');
+        return;
+      }
+      this.addMuteRule('keyword', term.trim());
+      this.showNotification(`Muted headlines containing ${term.trim()}`, 'success');
+    } else if (action === 'domain') {
+      const domain = this.getHostname(article.url).replace(/^www\./, '');
+      this.addMuteRule('domain', domain);
+      this.showNotification(`Muted links to ${domain}`, 'success');
+    } else {
+      const category = action === 'source' ? article.category : null;
+      this.addMuteRule('source', { sourceId: article.source.id, category });
+      this.showNotification(`Muted ${article.source.name}${category ? ` in ${this.getCategoryDisplayName(category)}` : ''}`, 'success');
+    }
+  }
+  
+  /**
+   * Merge a source's articles into the live list as it finishes loading.
+   * Articles are deduplicated and inserted in sorted order; cards already
+   * on screen stay where they are.
+   */
+  insertArticles(newArticles) {
+    const seen = new Set();
+    this.articles.forEach(article => {
+      [article, ...(article.related || [])].forEach(entry => {
+        this.getDedupeKeys(entry).forEach(key => seen.add(key));
+      });
+    });
+    
+    const mutedKeys = new Set(this.mutedArticles.flatMap(({ article }) => this.getDedupeKeys(article)));
+    const threshold = this.getClusterThreshold();
+    let inserted = 0;
+    
+    // Stories on screen filed by LSH band, so matches are looked up, not scanned for
+    const buckets = new Map();
+    const storiesById = new Map();
+    if (threshold) {
+      this.articles.forEach(story => {
+        storiesById.set(story.id, story);
+        this.addToBuckets(buckets, story, story.id);
+      });
+    }
+    
+    newArticles.forEach(article => {
+      // Muted items never claim a dedupe key an unmuted copy could need
+      const muteMatch = this.getMuteMatch(article);
+      if (muteMatch) {
+        this.addMutedArticle(article, muteMatch, mutedKeys);
+        return;
+      }
+      
+      const keys = this.getDedupeKeys(article);
+      if (keys.some(key => seen.has(key))) return;
+      keys.forEach(key => seen.add(key));
+      inserted++;
+      
+      // Another source's take on a story already on screen joins its card
+      const candidates = threshold
+        ? new Set(this.getBandKeys(article).flatMap(key => buckets.get(key) || []))
+        : new Set();
+      const storyId = Array.from(candidates).find(id => this.isSameStory(storiesById.get(id), article, threshold));
+      
+      if (storyId) {
+        const story = storiesById.get(storyId);
+        const merged = this.addRelatedArticles(story, [article]);
+        this.articles[this.articles.indexOf(story)] = merged;
+        storiesById.set(storyId, merged);
+        return;
+      }
+      
+      const index = this.findSortedIndex(this.articles, article);
+      this.articles.splice(index, 0, article);
+      this.indexArticles([article]);
+      this.recordFirstSeen([article]);
+      
+      if (threshold) {
+        storiesById.set(article.id, article);
+        this.addToBuckets(buckets, article, article.id);
+      }
+    });
+    
+    this.updateMutedIndicator();
+    this.updateUnreadCounts();
+    if (inserted === 0) return;
+    
+    this.updateCategoryButtons();
+    this.updateDisplayedArticles();
+  }
+  
+  /**
+   * Compare articles for newest-first ordering
+   */
+  compareArticles(a, b) {
+    // Undated articles sort after dated ones, newest load first
+    if (!a.publishedAt || !b.publishedAt) {
+      if (a.publishedAt) return -1;
+      if (b.publishedAt) return 1;
+      return (b.loadedAt || 0) - (a.loadedAt || 0);
+    }
+    
+    return new Date(b.publishedAt) - new Date(a.publishedAt);
+  }
+  
+  /**
+   * Binary search for the insertion index that keeps a list newest-first
+   */
+  findSortedIndex(articles, article) {
+    let low = 0;
+    let high = articles.length;
+    
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.compareArticles(articles[mid], article) <= 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return low;
+  }
+  
+  /**
+   * Get the key used to detect duplicate articles (normalized title prefix)
+   */
+  getDedupeKeys(article) {
+    const title = article.title.toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    
+    return [`title:${title}`, `url:${this.canonicalizeUrl(article.url)}`];
+  }
+  
+  /**
+   * Remove exact duplicates (same full title or same URL)
+   */
+  deduplicateArticles(articles) {
+    const seen = new Set();
+    const unique = [];
+    
+    articles.forEach(article => {
+      const keys = this.getDedupeKeys(article);
+      
+      if (!keys.some(key => seen.has(key))) {
+        keys.forEach(key => seen.add(key));
+        unique.push(article);
+      }
+    });
+    
+    return unique;
+  }
+  
+  /**
+   * Get the similarity needed to merge two articles into one story (0 = off)
+   */
+  getClusterThreshold() {
+    return this.userPreferences.clusterThreshold ?? this.defaultClusterThreshold;
+  }
+  
+  /**
+   * Group near-duplicate articles into stories. MinHash signatures with
+   * LSH banding find candidate pairs, which are confirmed by exact Jaccard
+   * similarity of their token sets and joined with union-find. Each story is
+   * represented by its best article, carrying the rest in `related`.
+   */
+  clusterArticles(articles) {
+    const threshold = this.getClusterThreshold();
+    if (!threshold || articles.length < 2) return articles;
+    
+    const parent = articles.map((_, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    
+    // Articles sharing any band of their signature become candidates
+    const buckets = new Map();
+    articles.forEach((article, index) => this.addToBuckets(buckets, article, index));
+    
+    buckets.forEach(bucket => {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const a = find(bucket[i]);
+          const b = find(bucket[j]);
+          if (a !== b && this.isSameStory(articles[bucket[i]], articles[bucket[j]], threshold)) {
+            parent[b] = a;
+          }
+        }
+      }
+    });
+    
+    const groups = new Map();
+    articles.forEach((article, index) => {
+      const root = find(index);
+      if (groups.has(root)) {
+        groups.get(root).push(article);
+      } else {
+        groups.set(root, [article]);
+      }
+    });
+    
+    return Array.from(groups.values()).map(group => {
+      if (group.length === 1) return group[0];
+      
+      const [representative, ...others] = group.sort((a, b) =>
+        this.scoreRepresentative(b) - this.scoreRepresentative(a) || this.compareArticles(a, b)
+      );
+      return this.addRelatedArticles({ ...representative, related: [] }, others);
+    });
+  }
+  
+  /**
+   * Get the LSH band keys of an article's MinHash signature (none for an empty token set)
+   */
+  getBandKeys(article) {
+    if (this.bandKeyCache.has(article)) {
+      return this.bandKeyCache.get(article);
+    }
+    
+    const signature = this.getMinHashSignature(this.getArticleTokens(article));
+    const rows = this.minHashSize / this.minHashBands;
+    const keys = [];
+    
+    if (signature) {
+      for (let band = 0; band < this.minHashBands; band++) {
+        keys.push(`${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`);
+      }
+    }
+    
+    this.bandKeyCache.set(article, keys);
+    return keys;
+  }
+  
+  /**
+   * File a value under each of an article's band keys
+   */
+  addToBuckets(buckets, article, value) {
+    this.getBandKeys(article).forEach(key => {
+      const bucket = buckets.get(key);
+      if (bucket) {
+        bucket.push(value);
+      } else {
+        buckets.set(key, [value]);
+      }
+    });
+  }
+  
+  /**
+   * Check whether two articles tell the same story: published within the
+   * clustering window and similar enough by token-set (Jaccard) similarity
+   */
+  isSameStory(a, b, threshold) {
+    if (a.publishedAt && b.publishedAt &&
+        Math.abs(new Date(a.publishedAt) - new Date(b.publishedAt)) > this.clusterWindow) {
+      return false;
+    }
+    
+    const tokensA = this.getArticleTokens(a);
+    const tokensB = this.getArticleTokens(b);
+    if (tokensA.size === 0 || tokensB.size === 0) return false;
+    
+    let shared = 0;
+    tokensA.forEach(token => {
+      if (tokensB.has(token)) shared++;
+    });
+    
+    return shared / (tokensA.size + tokensB.size - shared) >= threshold;
+  }
+  
+  /**
+   * Get the normalized word set of an article's title and the start of its summary
+   */
+  getArticleTokens(article) {
+    if (this.tokenCache.has(article)) {
+      return this.tokenCache.get(article);
+    }
+    
+    const summaryStart = (article.summary || '').split(/\s+/).slice(0, 40).join(' ');
+    const tokens = new Set();
+    
+    `${article.title} ${summaryStart}`
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .forEach(word => {
+        if (word.length < 2 || this.stopWords.has(word)) return;
+        // Crude plural folding so "rate" and "rates" match
+        tokens.add(word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+      });
+    
+    this.tokenCache.set(article, tokens);
+    return tokens;
+  }
+  
+  /**
+   * Compute a MinHash signature for a token set (null when the set is empty)
+   */
+  getMinHashSignature(tokens) {
+    if (tokens.size === 0) return null;
+    
+    const signature = new Array(this.minHashSize).fill(0xffffffff);
+    
+    tokens.forEach(token => {
+      // FNV-1a base hash, remixed per signature slot with a different seed
+      let base = 0x811c9dc5;
+      for (let i = 0; i < token.length; i++) {
+        base = Math.imul(base ^ token.charCodeAt(i), 0x01000193);
+      }
+      
+      for (let slot = 0; slot < this.minHashSize; slot++) {
+        let hash = Math.imul(base ^ Math.imul(slot + 1, 0x9e3779b1), 0x85ebca6b);
+        hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+        hash = (hash ^ (hash >>> 16)) >>> 0;
+        if (hash < signature[slot]) {
+          signature[slot] = hash;
+        }
+      }
+    });
+    
+    return signature;
+  }
+  
+  /**
+   * Rank articles as a story's lead card: prefer images, real summaries,
+   * verified sources and a known date
+   */
+  scoreRepresentative(article) {
+    return (article.imageUrl ? 4 : 0) +
+      (article.summary && article.summary !== article.title ? Math.min(article.summary.length / 100, 3) : 0) +
+      (article.source.verified ? 2 : 0) +
+      (article.publishedAt ? 1 : 0);
+  }
+  
+  /**
+   * Return a copy of a story with more articles listed as alternate coverage
+   */
+  addRelatedArticles(story, articles) {
+    const related = [...(story.related || [])];
+    
+    articles.forEach(article => {
+      [article, ...(article.related || [])].forEach(entry => {
+        related.push({
+          id: entry.id,
+          title: entry.title,
+          url: entry.url,
+          publishedAt: entry.publishedAt,
+          source: { id: entry.source.id, name: entry.source.name }
+        });
+      });
+    });
+    
+    return { ...story, related };
+  }
+  
+  /**
+   * Filter and display articles based on current category
+   */
+  filterAndDisplayArticles() {
+    const filteredArticles = this.getFilteredArticles();
+    const visibleArticles = this.getVisibleArticles(filteredArticles);
+    
+    console.log(`🎯 Displaying ${visibleArticles.length} of ${filteredArticles.length} articles for category: ${this.currentCategory}`);
+    
+    this.displayArticles(visibleArticles);
+    this.updateArticleCount(visibleArticles.length, filteredArticles.length);
+    this.updateLoadMore(visibleArticles.length < filteredArticles.length);
+  }
+  
+  /**
+   * Update the grid in place for the current category (no full re-render)
+   */
+  updateDisplayedArticles() {
+    const filteredArticles = this.getFilteredArticles();
+    const visibleArticles = this.getVisibleArticles(filteredArticles);
+    
+    this.syncGrid(visibleArticles);
+    this.updateArticleCount(visibleArticles.length, filteredArticles.length);
+    this.updateLoadMore(visibleArticles.length < filteredArticles.length);
+  }
+  
+  /**
+   * Apply the revealed page size and per-source depth to a sorted article
+   * list. Filtering to one source shows all of its articles.
+   */
+  getVisibleArticles(articles) {
+    const depth = this.activeSourceId || this.currentCategory === 'saved' ? Infinity : this.revealedDepth;
+    const perSource = new Map();
+    const visible = [];
+    
+    for (const article of articles) {
+      if (visible.length >= this.revealedCount) break;
+      
+      const shown = perSource.get(article.source.id) || 0;
+      perSource.set(article.source.id, shown + 1);
+      
+      if (shown < depth) {
+        visible.push(article);
+      }
+    }
+    
+    return visible;
+  }
+  
+  /**
+   * Start the current view over at the configured page and per-source limits
+   */
+  resetRevealedArticles() {
+    this.revealedCount = this.maxArticles;
+    this.revealedDepth = this.maxArticlesPerSource;
+    this.readInView.clear();
+  }
+  
+  /**
+   * Reveal the next page of articles, going deeper into every source
+   */
+  loadMoreArticles() {
+    this.revealedCount += this.maxArticles;
+    this.revealedDepth += this.maxArticlesPerSource;
+    this.updateDisplayedArticles();
+  }
+  
+  /**
+   * Show the "Load more" control while the view has hidden articles, and
+   * load automatically when it scrolls into view if infinite scroll is on
+   */
+  updateLoadMore(hasMore) {
+    const loadMore = document.getElementById('loadMore');
+    loadMore.hidden = !hasMore;
+    
+    if (!('IntersectionObserver' in window)) return;
+    
+    if (hasMore && this.userPreferences.infiniteScroll) {
+      if (!this.loadMoreObserver) {
+        this.loadMoreObserver = new IntersectionObserver(entries => {
+          if (entries.some(entry => entry.isIntersecting)) {
+            this.loadMoreArticles();
+          }
+        }, { rootMargin: '400px' });
+      }
+      
+      // Observing again reports the current state, so a page too short to push
+      // the control off screen loads the next one instead of waiting for a scroll
+      this.loadMoreObserver.unobserve(loadMore);
+      this.loadMoreObserver.observe(loadMore);
+    } else if (this.loadMoreObserver) {
+      this.loadMoreObserver.disconnect();
+      this.loadMoreObserver = null;
+    }
+  }
+  
+  /**
+   * Get articles for the current category
+   */
+  getFilteredArticles() {
+    let articles;
+    
+    if (this.currentCategory === 'saved') {
+      articles = this.getSavedArticles(this.activeCollection);
+      if (this.parsedSearch) {
+        articles = articles.filter(article => this.matchesSearch(article));
+      }
+    } else {
+      articles = this.parsedSearch ? this.getSearchResults() : this.articles;
+    }
+    
+    if (this.activeSourceId) {
+      articles = articles.filter(article => article.source.id === this.activeSourceId);
+    }
+    
+    if (this.currentCategory !== 'all' && this.currentCategory !== 'saved') {
+      articles = articles.filter(article => 
+        this.getArticleCategories(article).includes(this.currentCategory)
+      );
+    }
+    
+    if (this.activeTag) {
+      const tag = this.activeTag.toLowerCase();
+      articles = articles.filter(article =>
+        (article.tags || []).some(articleTag => articleTag.toLowerCase() === tag)
+      );
+    }
+    
+    // Articles read while the view is open stay until it changes, so cards don't vanish on click
+    if (this.userPreferences.unreadOnly && this.currentCategory !== 'saved') {
+      articles = articles.filter(article => !this.readArticles.has(article.id) || this.readInView.has(article.id));
+    }
+    
+    return articles;
+  }
+  
+  /**
+   * Get every category an article belongs to: its source's category plus
+   * any custom category whose keyword rules match it
+   */
+  getArticleCategories(article) {
+    const rules = this.compiledCategoryRules;
+    if (rules.length === 0) return [article.category];
+    
+    if (this.articleCategoryCache.has(article)) {
+      return this.articleCategoryCache.get(article);
+    }
+    
+    const text = [article.title, article.summary, ...(article.tags || [])].join(' ');
+    const categories = [article.category];
+    
+    rules.forEach(rule => {
+      if (categories.includes(rule.key)) return;
+      if (rule.sources.size > 0 && !rule.sources.has(article.source.id)) return;
+      if (rule.include.length > 0 && !rule.include.some(pattern => pattern.test(text))) return;
+      if (rule.exclude.some(pattern => pattern.test(text))) return;
+      categories.push(rule.key);
+    });
+    
+    this.articleCategoryCache.set(article, categories);
+    return categories;
+  }
+  
+  /**
+   * Compile the category rules from preferences; call whenever they're loaded or edited
+   */
+  compileCategoryRules() {
+    const rules = this.userPreferences.categoryRules || {};
+    
+    this.articleCategoryCache = new WeakMap();
+    this.compiledCategoryRules = Object.entries(rules)
+      .map(([key, rule]) => ({
+        key,
+        include: rule.include.map(term => this.parseRuleTerm(term)).filter(Boolean),
+        exclude: rule.exclude.map(term => this.parseRuleTerm(term)).filter(Boolean),
+        sources: new Set(rule.sources)
+      }))
+      // A rule needs keywords or a source scope to select anything
+      .filter(rule => rule.include.length > 0 || rule.sources.size > 0);
+  }
+  
+  /**
+   * Turn a rule term into a case-insensitive pattern: /regex/flags, a
+   * "quoted phrase", or a keyword (whole word; a trailing * matches any ending).
+   * Returns null for an invalid term.
+   */
+  parseRuleTerm(term) {
+    const value = String(term).trim();
+    if (!value) return null;
+    
+    try {
+      const regex = value.match(/^\/(.+)\/([a-z]*)$/);
+      if (regex) {
+        const flags = regex[2].replace(/[^imsu]/g, '');
+        return new RegExp(regex[1], flags.includes('i') ? flags : `${flags}i`);
+      }
+      
+      const phrase = value.match(/^"(.+)"$/);
+      const words = (phrase ? phrase[1] : value).trim();
+      const wildcard = words.endsWith('*');
+      const escaped = words.replace(/\*$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      
+      return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}${wildcard ? '[\\p{L}\\p{N}]*' : '(?![\\p{L}\\p{N}])'}`, 'iu');
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Start over with an empty search index
+   */
+  resetSearchIndex() {
+    this.searchIndex = { postings: new Map(), texts: new Map(), sortedTokens: null };
+    this.searchQueue = [];
+  }
+  
+  /**
+   * Queue articles for the search index. Indexing runs in small chunks,
+   * yielding between them so typing and scrolling stay responsive.
+   */
+  indexArticles(articles) {
+    articles.forEach(article => {
+      if (!this.searchIndex.texts.has(article.id)) {
+        this.searchQueue.push(article);
+      }
+    });
+    
+    if (!this.searchIndexing && this.searchQueue.length > 0) {
+      this.processSearchQueue();
+    }
+  }
+  
+  /**
+   * Drain the indexing queue chunk by chunk, then refresh an active search
+   */
+  async processSearchQueue() {
+    this.searchIndexing = true;
+    
+    while (this.searchQueue.length > 0) {
+      this.searchQueue.splice(0, this.searchIndexChunkSize).forEach(article => this.addToSearchIndex(article));
+      this.searchIndex.sortedTokens = null;
+      await this.yieldToMainThread();
+    }
+    
+    this.searchIndexing = false;
+    
+    if (this.parsedSearch) {
+      this.searchMatches = this.findSearchMatches(this.parsedSearch);
+      this.updateDisplayedArticles();
+    }
+  }
+  
+  /**
+   * Resolve when the browser is idle (or on the next task without idle callbacks)
+   */
+  yieldToMainThread() {
+    return new Promise(resolve => {
+      if ('requestIdleCallback' in window) {
+        requestIdleCallback(() => resolve(), { timeout: 100 });
+      } else {
+        setTimeout(resolve, 0);
+      }
+    });
+  }
+  
+  /**
+   * Add an article's title, summary, author and source name to the index.
+   * Postings map each token to article ids with a bitmask of the fields it
+   * appears in; the token sequence of each field is kept for phrase checks.
+   */
+  addToSearchIndex(article) {
+    if (this.searchIndex.texts.has(article.id)) return;
+    
+    const values = {
+      title: article.title,
+      summary: article.summary,
+      author: article.author,
+      source: article.source.name
+    };
+    const texts = {};
+    
+    Object.entries(this.searchFields).forEach(([field, bit]) => {
+      const tokens = this.tokenizeSearchText(values[field]);
+      texts[field] = ` ${tokens.join(' ')} `;
+      
+      tokens.forEach(token => {
+        let posting = this.searchIndex.postings.get(token);
+        if (!posting) {
+          posting = new Map();
+          this.searchIndex.postings.set(token, posting);
+        }
+        posting.set(article.id, (posting.get(article.id) || 0) | bit);
+      });
+    });
+    
+    this.searchIndex.texts.set(article.id, texts);
+  }
+  
+  /**
+   * Split text into lowercase, accent-free word tokens
+   */
+  tokenizeSearchText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+  
+  /**
+   * Parse a query into terms (words match as prefixes, "quoted phrases"
+   * match exactly), field-restricted terms (title:, author:) and filters
+   * (source:, category:)
+   */
+  parseSearchQuery(query) {
+    const parsed = { terms: [], filters: { source: [], category: [] } };
+    const pattern = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+      let field = match[1] ? match[1].toLowerCase() : null;
+      let value = match[2] ?? match[3] ?? '';
+      const quoted = match[2] !== undefined;
+      
+      // Not a known field (e.g. a time like 10:30): search for the text as typed
+      if (field && !(field in parsed.filters) && !['title', 'summary', 'author'].includes(field)) {
+        value = `${match[1]}:${value}`;
+        field = null;
+      }
+      
+      const words = this.tokenizeSearchText(value);
+      if (words.length === 0) continue;
+      
+      if (field in parsed.filters) {
+        parsed.filters[field].push(words.join(''));
+      } else {
+        // Punctuated words ("covid-19") are matched as phrases
+        parsed.terms.push({ words, field, phrase: quoted || words.length > 1 });
+      }
+    }
+    
+    const hasFilters = Object.values(parsed.filters).some(values => values.length > 0);
+    return parsed.terms.length > 0 || hasFilters ? parsed : null;
+  }
+  
+  /**
+   * Find the ids of indexed articles matching every term of a parsed query
+   * (null when the query has only filters, i.e. every article qualifies)
+   */
+  findSearchMatches(parsed) {
+    let matches = null;
+    
+    for (const term of parsed.terms) {
+      const bit = term.field ? this.searchFields[term.field] : 0;
+      const ids = new Set();
+      
+      if (term.phrase) {
+        // Articles containing every word, confirmed by the phrase in one field
+        const [first, ...rest] = term.words.map(word => this.searchIndex.postings.get(word) || new Map());
+        const phrase = ` ${term.words.join(' ')} `;
+        
+        first.forEach((mask, id) => {
+          if (bit && !(mask & bit)) return;
+          if (!rest.every(posting => posting.has(id))) return;
+          
+          const texts = this.searchIndex.texts.get(id);
+          const fields = term.field ? [term.field] : Object.keys(texts);
+          if (fields.some(field => texts[field].includes(phrase))) {
+            ids.add(id);
+          }
+        });
+      } else {
+        this.getPrefixTokens(term.words[0]).forEach(token => {
+          this.searchIndex.postings.get(token).forEach((mask, id) => {
+            if (!bit || mask & bit) ids.add(id);
+          });
+        });
+      }
+      
+      matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+      if (matches.size === 0) break;
+    }
+    
+    return matches;
+  }
+  
+  /**
+   * Get every indexed token starting with a prefix (binary search over the sorted tokens)
+   */
+  getPrefixTokens(prefix) {
+    if (!this.searchIndex.sortedTokens) {
+      this.searchIndex.sortedTokens = Array.from(this.searchIndex.postings.keys()).sort();
+    }
+    
+    const tokens = this.searchIndex.sortedTokens;
+    let low = 0;
+    let high = tokens.length;
+    
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (tokens[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const matches = [];
+    for (let index = low; index < tokens.length && tokens[index].startsWith(prefix); index++) {
+      matches.push(tokens[index]);
+    }
+    return matches;
+  }
+  
+  /**
+   * Check an article against the query's source: and category: filters.
+   * Values match ids or the start of the display name ("source:bbc").
+   */
+  matchesSearchFilters(article, filters) {
+    const matchesName = (value, key, name) =>
+      key.toLowerCase().startsWith(value) || this.tokenizeSearchText(name).join('').startsWith(value);
+    
+    if (filters.source.length > 0 && !filters.source.some(value =>
+      matchesName(value, article.source.id, article.source.name))) {
+      return false;
+    }
+    
+    if (filters.category.length > 0 && !filters.category.some(value =>
+      this.getArticleCategories(article).some(key => matchesName(value, key, this.getCategoryDisplayName(key))))) {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get loaded and archived articles matching the active search
+   */
+  getSearchResults() {
+    const archived = this.archivedArticles.filter(article => !this.getMuteMatch(article));
+    
+    return [...this.articles, ...archived].filter(article => this.matchesSearch(article));
+  }
+  
+  /**
+   * Check an article against the active search's terms and filters
+   */
+  matchesSearch(article) {
+    return (!this.searchMatches || this.searchMatches.has(article.id)) &&
+      this.matchesSearchFilters(article, this.parsedSearch.filters);
+  }
+  
+  /**
+   * Apply a search query to the grid (an empty query shows everything again)
+   */
+  setSearchQuery(query) {
+    const trimmed = query.trim();
+    if (trimmed === this.searchQuery) return;
+    
+    this.searchQuery = trimmed;
+    this.parsedSearch = trimmed ? this.parseSearchQuery(trimmed) : null;
+    this.searchMatches = this.parsedSearch ? this.findSearchMatches(this.parsedSearch) : null;
+    this.searchPattern = this.parsedSearch ? this.getSearchHighlightPattern(this.parsedSearch) : null;
+    
+    this.resetRevealedArticles();
+    this.updateDisplayedArticles();
+  }
+  
+  /**
+   * Build a pattern highlighting the query's terms in card text
+   */
+  getSearchHighlightPattern(parsed) {
+    if (parsed.terms.length === 0) return null;
+    
+    const escape = word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const alternatives = parsed.terms.map(term => term.phrase
+      ? `${term.words.map(escape).join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`
+      : `${escape(term.words[0])}[\\p{L}\\p{N}]*`
+    );
+    
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+  }
+  
+  /**
+   * Wrap search matches inside an element's text in <mark> elements
+   */
+  highlightSearchMatches(element) {
+    const pattern = this.searchPattern;
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => {
+      const text = node.nodeValue;
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      
+      pattern.lastIndex = 0;
+      for (const match of text.matchAll(pattern)) {
+        fragment.append(text.slice(lastIndex, match.index), this.createTextElement('mark', 'search-highlight', match[0]));
+        lastIndex = match.index + match[0].length;
+      }
+      
+      if (lastIndex > 0) {
+        fragment.append(text.slice(lastIndex));
+        node.replaceWith(fragment);
+      }
+    });
+  }
+  
+  /**
+   * Collect stored articles that are not part of the current load (the last
+   * snapshot and cached feeds) so searches can reach back into them
+   */
+  async loadSearchArchive() {
+    try {
+      const [snapshot, records] = await Promise.all([
+        this.getArticleSnapshot(),
+        this.runStoreRequest('feeds', 'readonly', store => store.getAll())
+      ]);
+      
+      const seen = new Set(this.allArticles.map(article => article.id));
+      const archived = [];
+      
+      [
+        ...(snapshot ? snapshot.articles : []),
+        ...records.filter(record => record.idVersion === this.articleIdVersion).flatMap(record => record.articles)
+      ].forEach(article => {
+        if (seen.has(article.id)) return;
+        seen.add(article.id);
+        archived.push({ ...article, archived: true });
+      });
+      
+      this.archivedArticles = archived.sort((a, b) => this.compareArticles(a, b));
+      this.indexArticles(this.archivedArticles);
+      
+      console.log(`🗄️ ${this.archivedArticles.length} archived articles available to search`);
+    } catch (error) {
+      console.warn('Failed to load search archive:', error);
+    }
+  }
+  
+  /**
+   * Find an article shown in the grid by id (loaded, archived or saved)
+   */
+  findArticle(id) {
+    return this.articles.find(article => article.id === id) ||
+      this.archivedArticles.find(article => article.id === id) ||
+      this.savedArticles.get(id)?.article ||
+      null;
+  }
+  
+  /**
+   * Get saved articles, most recently saved first (null = every collection)
+   */
+  getSavedArticles(collection) {
+    return Array.from(this.savedArticles.values())
+      .filter(record => !collection || record.collections.includes(collection))
+      .sort((a, b) => b.savedAt - a.savedAt)
+      .map(record => record.article);
+  }
+  
+  /**
+   * Add an article to a collection, or take it out if it's already there.
+   * Articles are stored as copies so they outlive the feeds they came from.
+   */
+  toggleSavedArticle(article, collection) {
+    const existing = this.savedArticles.get(article.id);
+    const record = existing || {
+      id: article.id,
+      // Alternate coverage and archive markers only make sense in the live grid
+      article: { ...article, related: undefined, archived: undefined },
+      collections: [],
+      savedAt: Date.now()
+    };
+    
+    const saved = !record.collections.includes(collection);
+    record.collections = saved
+      ? [...record.collections, collection]
+      : record.collections.filter(name => name !== collection);
+    
+    if (record.collections.length > 0) {
+      this.savedArticles.set(record.id, record);
+      this.indexArticles([record.article]);
+    } else {
+      this.savedArticles.delete(record.id);
+    }
+    
+    this.putSavedRecord(record);
+    this.updateSavedViews();
+    this.showNotification(saved ? `Saved to ${collection}` : `Removed from ${collection}`, 'success');
+  }
+  
+  /**
+   * Remove an article from every collection
+   */
+  unsaveArticle(id) {
+    const record = this.savedArticles.get(id);
+    if (!record) return;
+    
+    record.collections = [];
+    this.savedArticles.delete(id);
+    this.putSavedRecord(record);
+    this.updateSavedViews();
+    this.showNotification('Removed from saved articles', 'success');
+  }
+  
+  /**
+   * Create a named collection (returns its name, or null if invalid)
+   */
+  createCollection(input) {
+    const name = String(input || '').trim().replace(/\s+/g, ' ');
+    
+    if (!name) return null;
+    
+    if (name.length > this.maxCollectionNameLength) {
+      this.showNotification(`Collection names are limited to ${this.maxCollectionNameLength} characters`, 'error');
+      return null;
+    }
+    
+    const existing = this.collections.find(collection => collection.toLowerCase() === name.toLowerCase());
+    if (existing) return existing;
+    
+    this.collections.push(name);
+    this.putCollection(name);
+    return name;
+  }
+  
+  /**
+   * Delete a collection; articles only in that collection are unsaved
+   */
+  deleteCollection(name) {
+    if (name === this.defaultCollection) return;
+    
+    const count = this.getSavedArticles(name).length;
+    if (count > 0 && !confirm(`Delete "${name}" and remove its ${count} saved ${count === 1 ? 'article' : 'articles'} from it?`)) {
+      return;
+    }
+    
+    this.savedArticles.forEach(record => {
+      if (!record.collections.includes(name)) return;
+      
+      record.collections = record.collections.filter(collection => collection !== name);
+      if (record.collections.length === 0) {
+        this.savedArticles.delete(record.id);
+      }
+      this.putSavedRecord(record);
+    });
+    
+    this.collections = this.collections.filter(collection => collection !== name);
+    this.putCollection(name, true);
+    this.activeCollection = null;
+    
+    this.updateSavedViews();
+    this.showNotification(`Deleted collection ${name}`, 'success');
+  }
+  
+  /**
+   * Refresh everything showing saved state: the tab count, the saved bar and the grid
+   */
+  updateSavedViews() {
+    this.updateSavedCount();
+    this.updateSavedBar();
+    this.updateDisplayedArticles();
+  }
+  
+  /**
+   * Show the number of saved articles on the Saved tab
+   */
+  updateSavedCount() {
+    const count = this.savedArticles.size;
+    const badge = document.querySelector('[data-category="saved"] .category-tab__count');
+    if (badge) {
+      badge.textContent = count > 0 ? count : '';
+    }
+  }
+  
+  /**
+   * Show the collection picker and export actions while the Saved view is open
+   */
+  updateSavedBar() {
+    const bar = document.getElementById('savedBar');
+    bar.hidden = this.currentCategory !== 'saved';
+    if (bar.hidden) return;
+    
+    if (this.activeCollection && !this.collections.includes(this.activeCollection)) {
+      this.activeCollection = null;
+    }
+    
+    const list = document.getElementById('savedCollections');
+    list.innerHTML = '';
+    
+    [[null, 'All saved'], ...this.collections.map(name => [name, name])].forEach(([name, label]) => {
+      const count = this.getSavedArticles(name).length;
+      const button = this.createTextElement('button', 'saved-bar__collection', `${label} (${count})`);
+      button.type = 'button';
+      button.dataset.collection = name || '';
+      button.setAttribute('aria-pressed', String(name === this.activeCollection));
+      list.appendChild(button);
+    });
+    
+    document.getElementById('deleteCollectionBtn').hidden =
+      !this.activeCollection || this.activeCollection === this.defaultCollection;
+    document.getElementById('savedEmpty').hidden = this.getSavedArticles(this.activeCollection).length > 0;
+  }
+  
+  /**
+   * Show one collection in the Saved view (null shows every saved article)
+   */
+  setActiveCollection(name) {
+    this.activeCollection = name || null;
+    this.updateSavedBar();
+    this.resetRevealedArticles();
+    this.filterAndDisplayArticles();
+  }
+  
+  /**
+   * Toggle the card's menu of collections to save the article to
+   */
+  toggleSaveMenu(card) {
+    const existingMenu = card.querySelector('.news-card__save-menu');
+    if (existingMenu) {
+      existingMenu.remove();
+      return;
+    }
+    
+    const record = this.savedArticles.get(card.dataset.articleId);
+    const menu = this.createTextElement('div', 'news-card__save-menu');
+    menu.setAttribute('role', 'menu');
+    
+    this.collections.forEach(name => {
+      const inCollection = !!record && record.collections.includes(name);
+      const button = this.createTextElement('button', 'news-card__save-option', `${inCollection ? '✓ ' : ''}${name}`);
+      button.type = 'button';
+      button.dataset.collection = name;
+      button.setAttribute('role', 'menuitemcheckbox');
+      button.setAttribute('aria-checked', String(inCollection));
+      menu.appendChild(button);
+    });
+    
+    const newButton = this.createTextElement('button', 'news-card__save-option', 'New collection…');
+    newButton.type = 'button';
+    newButton.dataset.saveAction = 'new';
+    newButton.setAttribute('role', 'menuitem');
+    menu.appendChild(newButton);
+    
+    if (record) {
+      const removeButton = this.createTextElement('button', 'news-card__save-option', 'Remove from saved');
+      removeButton.type = 'button';
+      removeButton.dataset.saveAction = 'remove';
+      removeButton.setAttribute('role', 'menuitem');
+      menu.appendChild(removeButton);
+    }
+    
+    card.querySelector('.news-card__content').appendChild(menu);
+    menu.querySelector('button').focus();
+  }
+  
+  /**
+   * Apply a choice from a card's save menu
+   */
+  handleSaveAction(card, option) {
+    const article = this.findArticle(card.dataset.articleId);
+    if (!article) return;
+    
+    if (option.dataset.saveAction === 'remove') {
+      this.unsaveArticle(article.id);
+      return;
+    }
+    
+    const collection = option.dataset.saveAction === 'new'
+      ? this.createCollection(prompt('Name the new collection:', ''))
+      : option.dataset.collection;
+    
+    if (collection) {
+      this.toggleSavedArticle(article, collection);
+    }
+  }
+  
+  /**
+   * Download the collection shown in the Saved view as JSON or Markdown
+   */
+  exportCollection(format) {
+    const name = this.activeCollection || 'All saved';
+    const records = Array.from(this.savedArticles.values())
+      .filter(record => !this.activeCollection || record.collections.includes(this.activeCollection))
+      .sort((a, b) => b.savedAt - a.savedAt);
+    
+    if (records.length === 0) {
+      this.showNotification('Nothing to export in this collection', 'warning');
+      return;
+    }
+    
+    const slug = name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'saved';
+    
+    if (format === 'markdown') {
+      this.downloadFile(this.buildCollectionMarkdown(name, records), `newsstream-${slug}.md`, 'text/markdown');
+    } else {
+      this.downloadFile(this.buildCollectionJSON(name, records), `newsstream-${slug}.json`, 'application/json');
+    }
+    
+    this.showNotification(`Exported ${records.length} articles from ${name}`, 'success');
+  }
+  
+  /**
+   * Serialize saved articles as JSON
+   */
+  buildCollectionJSON(name, records) {
+    return JSON.stringify({
+      collection: name,
+      exportedAt: new Date().toISOString(),
+      articles: records.map(({ article, collections, savedAt }) => ({
+        title: article.title,
+        url: article.url,
+        source: article.source.name,
+        author: article.author || null,
+        publishedAt: article.publishedAt,
+        summary: article.summary,
+        tags: article.tags || [],
+        collections,
+        savedAt: new Date(savedAt).toISOString()
+      }))
+    }, null, 2);
+  }
+  
+  /**
+   * Serialize saved articles as a Markdown reading list
+   */
+  buildCollectionMarkdown(name, records) {
+    const escape = text => String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+    // encodeURIComponent leaves parentheses alone, which would end the link early
+    const escapeUrl = url => url.replace(/\s/g, encodeURIComponent).replace(/\(/g, '%28').replace(/\)/g, '%29');
+    const lines = [`# ${escape(name)}`, '', `Exported from NewsStream on ${new Date().toLocaleDateString()}`, ''];
+    
+    records.forEach(({ article }) => {
+      const details = [article.source.name, article.author, article.publishedAt && this.formatFullDate(article.publishedAt)]
+        .filter(Boolean)
+        .map(escape)
+        .join(' · ');
+      
+      lines.push(`- [${escape(article.title)}](${escapeUrl(article.url)}) — ${details}`);
+      if (article.summary && article.summary !== article.title) {
+        lines.push(`  > ${escape(article.summary)}`);
+      }
+    });
+    
+    return `${lines.join('\n')}\n`;
+  }
+  
+  /**
+   * Mark articles as read, updating their cards and the unread counts
+   */
+  markArticlesRead(ids) {
+    const unread = ids.filter(id => !this.readArticles.has(id));
+    if (unread.length === 0) return;
+    
+    const readAt = Date.now();
+    unread.forEach(id => {
+      this.readArticles.set(id, readAt);
+      this.readInView.add(id);
+      
+      const card = document.querySelector(`.news-card[data-article-id="${CSS.escape(id)}"]`);
+      if (card) {
+        this.readObserver?.unobserve(card);
+        card.classList.add('news-card--read');
+        card.classList.remove('news-card--new');
+      }
+    });
+    
+    this.putReadState(unread, readAt);
+    this.updateUnreadCounts();
+    this.updateNewDivider();
+  }
+  
+  /**
+   * Check whether an article first showed up since the previous visit and is
+   * still unread (late arrivals count even when their publish date is older)
+   */
+  isNewArticle(article) {
+    return !!this.newSinceTime && !this.readArticles.has(article.id) &&
+      (this.firstSeen.get(article.id) || 0) > this.newSinceTime;
+  }
+  
+  /**
+   * Set a card's read and new markers
+   */
+  applyCardState(card, article) {
+    card.classList.toggle('news-card--read', this.readArticles.has(article.id));
+    card.classList.toggle('news-card--new', this.isNewArticle(article));
+  }
+  
+  /**
+   * Watch a card so it's marked read once it has been on screen and then
+   * scrolls up past the top of the viewport
+   */
+  observeCardForRead(card) {
+    if (!this.userPreferences.markReadOnScroll || !('IntersectionObserver' in window)) return;
+    
+    if (!this.readObserver) {
+      this.readObserver = new IntersectionObserver(entries => {
+        if (!this.userPreferences.markReadOnScroll) return;
+        
+        entries.forEach(entry => {
+          if (entry.isIntersecting) this.cardsSeenInView.add(entry.target);
+        });
+        
+        // Cards rendered above the viewport (or detached) were never seen, so they weren't scrolled past
+        const passed = entries.filter(entry =>
+          this.cardsSeenInView.has(entry.target) && entry.target.isConnected &&
+          !entry.isIntersecting && entry.boundingClientRect.bottom <= (entry.rootBounds ? entry.rootBounds.top : 0)
+        );
+        passed.forEach(entry => this.readObserver.unobserve(entry.target));
+        this.markArticlesRead(passed.map(entry => entry.target.dataset.articleId));
+      });
+    }
+    
+    this.readObserver.observe(card);
+  }
+  
+  /**
+   * Show or hide read articles
+   */
+  toggleUnreadOnly() {
+    this.userPreferences.unreadOnly = !this.userPreferences.unreadOnly;
+    this.saveUserPreferences();
+    this.updateUnreadOnlyButton();
+    this.resetRevealedArticles();
+    this.filterAndDisplayArticles();
+  }
+  
+  /**
+   * Reflect the unread-only setting on its header button
+   */
+  updateUnreadOnlyButton() {
+    const button = document.getElementById('unreadOnlyBtn');
+    const active = !!this.userPreferences.unreadOnly;
+    button.setAttribute('aria-pressed', String(active));
+    button.title = active ? 'Showing unread articles only' : 'Show unread articles only';
+  }
+  
+  /**
+   * Show unread counts on every category tab (the Saved tab shows its own count)
+   */
+  updateUnreadCounts() {
+    const counts = new Map([['all', 0]]);
+    
+    this.articles.forEach(article => {
+      if (this.readArticles.has(article.id)) return;
+      
+      counts.set('all', counts.get('all') + 1);
+      this.getArticleCategories(article).forEach(category => {
+        counts.set(category, (counts.get(category) || 0) + 1);
+      });
+    });
+    
+    document.querySelectorAll('.category-tab').forEach(tab => {
+      if (tab.dataset.category === 'saved') return;
+      
+      let badge = tab.querySelector('.category-tab__count');
+      if (!badge) {
+        badge = this.createTextElement('span', 'category-tab__count');
+        tab.appendChild(badge);
+      }
+      
+      const count = counts.get(tab.dataset.category) || 0;
+      badge.textContent = count > 0 ? count : '';
+      badge.title = `${count} unread`;
+    });
+  }
+  
+  /**
+   * Draw a divider between articles new since the last visit and earlier ones
+   */
+  updateNewDivider() {
+    const newsGrid = document.getElementById('newsGrid');
+    newsGrid.querySelector('.news-grid__divider')?.remove();
+    
+    if (!this.newSinceTime) return;
+    
+    // Cards are sorted by publish date, not arrival, so late arrivals can sit among
+    // older stories; the divider only fits when every arrival is above it. Read
+    // arrivals still count toward that block so the divider stays put as they're read.
+    const cards = Array.from(newsGrid.querySelectorAll('.news-card'));
+    const arrivedSinceVisit = card => (this.firstSeen.get(card.dataset.articleId) || 0) > this.newSinceTime;
+    const firstEarlierIndex = cards.findIndex(card => !arrivedSinceVisit(card));
+    if (firstEarlierIndex <= 0 || cards.slice(firstEarlierIndex).some(arrivedSinceVisit)) return;
+    if (!cards.slice(0, firstEarlierIndex).some(card => card.classList.contains('news-card--new'))) return;
+    
+    const divider = this.createTextElement('div', 'news-grid__divider', 'Earlier — before your last visit');
+    divider.setAttribute('role', 'separator');
+    newsGrid.insertBefore(divider, cards[firstEarlierIndex]);
+  }
+  
+  /**
+   * Filter the grid to articles carrying a tag (null clears the filter)
+   */
+  setTagFilter(tag) {
+    this.activeTag = tag || null;
+    this.updateFilterBar();
+  }
+  
+  /**
+   * Filter the grid to every article from one source (null clears the filter)
+   */
+  setSourceFilter(sourceId) {
+    this.activeSourceId = sourceId || null;
+    this.updateFilterBar();
+  }
+  
+  /**
+   * Clear the tag and source filters
+   */
+  clearFilters() {
+    this.activeTag = null;
+    this.activeSourceId = null;
+    this.updateFilterBar();
+  }
+  
+  /**
+   * Describe the active filters and re-render the grid
+   */
+  updateFilterBar() {
+    const source = this.activeSourceId &&
+      this.articles.find(article => article.source.id === this.activeSourceId)?.source;
+    const parts = [];
+    
+    if (this.activeSourceId) parts.push(`From ${source ? source.name : this.activeSourceId}`);
+    if (this.activeTag) parts.push(`Tagged “${this.activeTag}”`);
+    
+    document.getElementById('tagFilterLabel').textContent = parts.join(' · ');
+    document.getElementById('tagFilter').hidden = parts.length === 0;
+    
+    this.resetRevealedArticles();
+    this.filterAndDisplayArticles();
+  }
+  
+  /**
+   * Display articles in the news grid
+   */
+  displayArticles(articles) {
+    const newsGrid = document.getElementById('newsGrid');
+    
+    // Always show news grid
+    newsGrid.style.display = 'grid';
+    
+    // Clear existing articles (and stop watching them for read-on-scroll)
+    this.readObserver?.disconnect();
+    newsGrid.innerHTML = '';
+    
+    // Add articles with progressive animation (staggered via CSS so later
+    // incremental inserts never race pending appends)
+    const fragment = document.createDocumentFragment();
+    articles.forEach((article, index) => {
+      const articleElement = this.createArticleElement(article);
+      articleElement.style.animationDelay = `${Math.min(index, 20) * 50}ms`;
+      fragment.appendChild(articleElement);
+    });
+    newsGrid.appendChild(fragment);
+    this.updateNewDivider();
+  }
+  
+  /**
+   * Reconcile the grid with a sorted article list: remove cards that left the
+   * list and insert new cards before their successor, leaving the rest untouched
+   */
+  syncGrid(articles) {
+    const newsGrid = document.getElementById('newsGrid');
+    newsGrid.style.display = 'grid';
+    
+    // The divider is redrawn afterwards; keeping it would throw off the insertion cursor
+    newsGrid.querySelector('.news-grid__divider')?.remove();
+    
+    const wantedIds = new Set(articles.map(article => article.id));
+    const existingCards = new Map();
+    
+    newsGrid.querySelectorAll('.news-card').forEach(card => {
+      if (wantedIds.has(card.dataset.articleId)) {
+        existingCards.set(card.dataset.articleId, card);
+      } else {
+        this.readObserver?.unobserve(card);
+        card.remove();
+      }
+    });
+    
+    let cursor = newsGrid.querySelector('.news-card');
+    
+    articles.forEach(article => {
+      const existingCard = existingCards.get(article.id);
+      
+      if (existingCard) {
+        // Cards already in place stay put; others move up (a story's date or lead article changed)
+        if (existingCard === cursor) {
+          cursor = cursor.nextElementSibling;
+        } else {
+          newsGrid.insertBefore(existingCard, cursor);
+        }
+        
+        // The story picked up more coverage, the search or its saved state changed; redraw its card in place
+        if (existingCard.dataset.relatedCount !== String(article.related?.length || 0) ||
+            existingCard.dataset.search !== this.searchQuery ||
+            existingCard.dataset.saved !== String(this.savedArticles.has(article.id))) {
+          this.readObserver?.unobserve(existingCard);
+          existingCard.replaceWith(this.createArticleElement(article));
+        } else {
+          this.applyCardState(existingCard, article);
+        }
+        return;
+      }
+      
+      newsGrid.insertBefore(this.createArticleElement(article), cursor);
+    });
+    
+    this.updateNewDivider();
+  }
+  
+  /**
+   * Create HTML element for news article (with custom source identification)
+   */
+  createArticleElement(article) {
+    const article_element = document.createElement('article');
+    article_element.className = 'news-card';
+    article_element.setAttribute('data-article-id', article.id);
+    article_element.dataset.relatedCount = article.related?.length || 0;
+    article_element.dataset.search = this.searchQuery;
+    article_element.dataset.saved = this.savedArticles.has(article.id);
+    if (article.archived) {
+      article_element.classList.add('news-card--archived');
+    }
+    this.applyCardState(article_element, article);
+    if (!this.readArticles.has(article.id)) {
+      this.observeCardForRead(article_element);
+    }
+    
+    const media = this.createArticleMedia(article);
+    if (media) {
+      article_element.appendChild(media);
+    }
+    
+    const content = this.createTextElement('div', 'news-card__content');
+    article_element.appendChild(content);
+    
+    const category = this.createTextElement('div', 'news-card__category',
+      article.archived ? `${this.getCategoryDisplayName(article.category)} · Archived` : this.getCategoryDisplayName(article.category));
+    if (article.category === 'breaking') {
+      category.classList.add('news-card__category--breaking');
+    }
+    content.appendChild(category);
+    
+    const title = this.createTextElement('h2', 'news-card__title');
+    const titleLink = this.createTextElement('a', '', article.title);
+    titleLink.href = article.url;
+    titleLink.target = '_blank';
+    titleLink.rel = 'noopener noreferrer';
+    titleLink.setAttribute('aria-label', `Read full article: ${article.title}`);
+    title.appendChild(titleLink);
+    content.appendChild(title);
+    
+    const summary = this.createTextElement('div', 'news-card__summary');
+    if (article.summaryHtml) {
+      summary.appendChild(this.createSafeFragment(article.summaryHtml));
+    } else {
+      summary.textContent = article.summary;
+    }
+    content.appendChild(summary);
+    
+    const meta = this.createTextElement('div', 'news-card__meta');
+    const sourceName = this.createTextElement('button', 'news-card__source',
+      article.source.verified ? `${article.source.name} ✓` : article.source.name);
+    sourceName.type = 'button';
+    sourceName.dataset.sourceId = article.source.id;
+    sourceName.setAttribute('aria-label', `Show all articles from ${article.source.name}`);
+    if (article.source.isCustom) {
+      sourceName.dataset.custom = 'true';
+    }
+    
+    const time = this.createTextElement('time', '', this.getTimeAgo(article.publishedAt));
+    if (article.publishedAt) {
+      time.dateTime = article.publishedAt;
+      time.title = this.formatFullDate(article.publishedAt);
+    } else {
+      time.className = 'news-card__date--unknown';
+      time.title = 'The feed did not give a publication date';
+    }
+    
+    const muteButton = this.createTextElement('button', 'news-card__mute', '⋯');
+    muteButton.type = 'button';
+    muteButton.setAttribute('aria-label', 'Mute options');
+    muteButton.setAttribute('aria-haspopup', 'menu');
+    
+    const saved = this.savedArticles.has(article.id);
+    const saveButton = this.createTextElement('button', 'news-card__save', saved ? '★' : '☆');
+    saveButton.type = 'button';
+    saveButton.setAttribute('aria-label', saved ? 'Saved — change collections' : 'Save article');
+    saveButton.setAttribute('aria-haspopup', 'menu');
+    saveButton.setAttribute('aria-pressed', String(saved));
+    
+    meta.append(sourceName, time, saveButton, muteButton);
+    content.appendChild(meta);
+    
+    if (article.related && article.related.length > 0) {
+      content.appendChild(this.createCoverageList(article));
+    }
+    
+    
+    if (article.author) {
+      const author = this.createTextElement('p', 'news-card__author', `By ${article.author}`);
+      content.insertBefore(author, summary);
+    }
+    
+    if (article.tags && article.tags.length > 0) {
+      const tagList = document.createElement('ul');
+      tagList.className = 'news-card__tags';
+      tagList.setAttribute('aria-label', 'Tags');
+      
+      article.tags.slice(0, 5).forEach(tag => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'news-card__tag';
+        button.dataset.tag = tag;
+        button.textContent = tag;
+        button.setAttribute('aria-label', `Show articles tagged ${tag}`);
+        item.appendChild(button);
+        tagList.appendChild(item);
+      });
+      
+      content.insertBefore(tagList, meta);
+    }
+    
+    if (this.searchPattern) {
+      content.querySelectorAll('.news-card__title, .news-card__summary, .news-card__author')
+        .forEach(element => this.highlightSearchMatches(element));
+    }
+    
+    return article_element;
+  }
+  
+  /**
+   * Create the "also covered by" expander listing a story's alternate links
+   */
+  createCoverageList(article) {
+    const otherSources = new Set(article.related.map(entry => entry.source.id));
+    otherSources.delete(article.source.id);
+    
+    const details = this.createTextElement('details', 'news-card__coverage');
+    const label = otherSources.size > 0
+      ? `Also covered by ${otherSources.size} ${otherSources.size === 1 ? 'source' : 'sources'}`
+      : `${article.related.length} more ${article.related.length === 1 ? 'version' : 'versions'}`;
+    details.appendChild(this.createTextElement('summary', 'news-card__coverage-toggle', label));
+    
+    const list = this.createTextElement('ul', 'news-card__coverage-list');
+    article.related.forEach(entry => {
+      const item = document.createElement('li');
+      const link = this.createTextElement('a', '', entry.title);
+      link.href = entry.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      
+      item.append(this.createTextElement('span', 'news-card__coverage-source', entry.source.name), link);
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+    
+    return details;
+  }
+  
+  /**
+   * Create a card's image inside a placeholder sized to the image's aspect
+   * ratio, so the card doesn't jump when the image loads (or fails to)
+   */
+  createArticleMedia(article) {
+    const imageUrl = article.imageUrl && this.sanitizeUrl(article.imageUrl);
+    if (!imageUrl) return null;
+    
+    const media = this.createTextElement('div', 'news-card__media');
+    
+    // Keep extreme ratios within what the card layout can show
+    if (article.imageWidth && article.imageHeight) {
+      const ratio = Math.min(Math.max(article.imageWidth / article.imageHeight, 1), 2.4);
+      media.style.aspectRatio = ratio.toFixed(3);
+    }
+    
+    // Load failures are handled by the grid's delegated error listener
+    const image = document.createElement('img');
+    image.className = 'news-card__image';
+    image.src = imageUrl;
+    image.alt = '';
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    if (article.imageWidth && article.imageHeight) {
+      image.width = article.imageWidth;
+      image.height = article.imageHeight;
+    }
+    media.appendChild(image);
+    
+    return media;
+  }
+  
+  /**
+   * Get display name for category (handle both built-in and custom)
+   */
+  getCategoryDisplayName(category) {
+    if (this.categoryMetadata[category]) {
+      return this.categoryMetadata[category].name;
+    }
+    
+    // Check custom categories
+    const customCategory = this.userPreferences.customCategories.find(cat => 
+      cat.toLowerCase().replace(/\s+/g, '') === category
+    );
+    
+    return customCategory || category.charAt(0).toUpperCase() + category.slice(1);
+  }
+  
+  /**
+   * Calculate time ago string
+   */
+  getTimeAgo(dateString) {
+    const now = new Date();
+    const date = new Date(dateString);
+    
+    if (!dateString || isNaN(date)) return 'Date unknown';
+    
+    const diffMs = now - date;
+    const diffMins = Math.floor(diffMs / 60000);
+    
+    if (diffMins < 1) return 'Just now';
+    if (diffMins < 60) return `${diffMins}m ago`;
+    
+    const diffHours = Math.floor(diffMins / 60);
+    if (diffHours < 24) return `${diffHours}h ago`;
+    
+    const diffDays = Math.floor(diffHours / 24);
+    if (diffDays < 7) return `${diffDays}d ago`;
+    
+    return date.toLocaleDateString();
+  }
+  
+    /**
+     * Update category buttons based on available articles (fixed to prevent duplicates)
+     */
+    updateCategoryButtons() {
+        const availableCategories = new Set(['all']);
+        
+        // Find categories with articles (including keyword-rule categories)
+        this.articles.forEach(article => {
+            this.getArticleCategories(article).forEach(category => availableCategories.add(category));
+        });
+        
+        const categoryNav = document.querySelector('.category-nav__container');
+        const allButton = categoryNav.querySelector('[data-category="all"]');
+        const savedButton = categoryNav.querySelector('[data-category="saved"]');
+        
+        // Clear existing buttons except "All" and "Saved"
+        categoryNav.innerHTML = '';
+        categoryNav.appendChild(allButton);
+        
+        // Create a map to track unique categories and their properties
+        const uniqueCategories = new Map();
+        
+        // Add user's selected categories (both built-in and custom)
+        this.userPreferences.categories.forEach(category => {
+            const categoryKey = category.replace(/\s+/g, '').toLowerCase();
+            
+            if (availableCategories.has(categoryKey)) {
+            // Check if this is a built-in category
+            const isBuiltIn = this.categoryMetadata.hasOwnProperty(categoryKey);
+            
+            // Check if this is a custom category
+            const customCategory = this.userPreferences.customCategories.find(cat => 
+                cat.toLowerCase().replace(/\s+/g, '') === categoryKey
+            );
+            
+            // Only add to map if not already present (first occurrence wins)
+            if (!uniqueCategories.has(categoryKey)) {
+                uniqueCategories.set(categoryKey, {
+                key: categoryKey,
+                displayName: this.getCategoryDisplayName(categoryKey),
+                isCustom: !isBuiltIn && !!customCategory
+                });
+            }
+            }
+        });
+    
+    // Add custom categories that don't conflict with selected built-in categories
+        this.userPreferences.customCategories.forEach(customCategory => {
+            const categoryKey = customCategory.toLowerCase().replace(/\s+/g, '');
+            
+            if (availableCategories.has(categoryKey) && !uniqueCategories.has(categoryKey)) {
+            uniqueCategories.set(categoryKey, {
+                key: categoryKey,
+                displayName: customCategory,
+                isCustom: true
+            });
+            }
+        });
+    
+    // Render unique categories
+        uniqueCategories.forEach(categoryInfo => {
+            const button = this.createCategoryButton(
+            categoryInfo.key, 
+            categoryInfo.isCustom, 
+            categoryInfo.displayName
+            );
+            categoryNav.appendChild(button);
+        });
+        
+        // Saved articles don't depend on the feeds, so their tab is always last
+        categoryNav.appendChild(savedButton);
+        this.updateUnreadCounts();
+        
+        // Setup listeners for new buttons
+        this.setupCategoryListeners();
+        
+        // Restore active state
+        this.updateCategoryUI(this.currentCategory);
+        }
+
+    /**
+     * Create category button element (updated to handle custom identification properly)
+     */
+    createCategoryButton(category, isCustom = false, displayName = null) {
+        const button = document.createElement('button');
+        button.className = 'category-tab';
+        button.dataset.category = category;
+        button.setAttribute('aria-pressed', 'false');
+        
+        // Only add custom attribute if it's truly a custom category
+        if (isCustom) {
+            button.setAttribute('data-custom', 'true');
+        }
+        
+        const finalDisplayName = displayName || this.getCategoryDisplayName(category);
+        
+        if (category === 'breaking') {
+            button.innerHTML = `
+            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+            </svg>
+            <span>${this.escapeHtml(finalDisplayName)}</span>
+            <div style="width: 6px; height: 6px; background: #dc2626; border-radius: 50%; animation: pulse 1.5s infinite;"></div>
+            `;
+        } else {
+            button.innerHTML = `
+            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z"/>
+            </svg>
+            <span>${this.escapeHtml(finalDisplayName)}</span>
+            `;
+        }
+        
+        return button;
+        }
+
+    /**
+     * Get display name for category (updated to handle both built-in and custom properly)
+     */
+    getCategoryDisplayName(category) {
+        // First check built-in categories
+        if (this.categoryMetadata[category]) {
+            return this.categoryMetadata[category].name;
+        }
+        
+        // Then check custom categories (case-insensitive match)
+        const customCategory = this.userPreferences.customCategories.find(cat => 
+            cat.toLowerCase().replace(/\s+/g, '') === category.toLowerCase().replace(/\s+/g, '')
+        );
+        
+        if (customCategory) {
+            return customCategory;
+        }
+        
+        // Fallback to formatted category name
+        return category.charAt(0).toUpperCase() + category.slice(1);
+        }
+
+    /**
+     * Normalize category key for consistent comparison
+     */
+    normalizeCategoryKey(categoryName) {
+    return categoryName.toLowerCase().replace(/\s+/g, '').trim();
+    }
+
+    /**
+     * Check if category exists (either built-in or custom)
+     */
+    categoryExists(categoryName) {
+    const normalizedKey = this.normalizeCategoryKey(categoryName);
+    
+    // Check built-in categories
+        if (this.categoryMetadata.hasOwnProperty(normalizedKey)) {
+            return true;
+        }
+    
+    // Check custom categories
+    return this.userPreferences.customCategories.some(cat => 
+            this.normalizeCategoryKey(cat) === normalizedKey
+        );
+        }
+
+    /**
+     * Updated addCustomCategory to prevent conflicts
+     */
+    addCustomCategory() {
+    const input = document.getElementById('customCategoryInput');
+    const name = input.value.trim();
+    
+    if (!name) {
+            this.showNotification('Please enter a category name', 'warning');
+            input.focus();
+            return;
+        }
+        
+        if (this.userPreferences.customCategories.length >= this.maxCustomCategories) {
+            this.showNotification(`Maximum ${this.maxCustomCategories} custom categories allowed`, 'warning');
+            return;
+        }
+        
+        // Check for conflicts with existing categories (case-insensitive)
+        if (this.categoryExists(name)) {
+            this.showNotification('A category with this name already exists', 'warning');
+            input.focus();
+            return;
+        }
+        
+        this.userPreferences.customCategories.push(name);
+        input.value = '';
+        
+        this.populateCustomLists();
+        this.populateCustomCategorySelect();
+        this.populateCategoryGrid(); // Refresh to show new custom category
+        
+        this.showNotification(`Added custom category: ${name}`, 'success');
+        }
+  /**
+   * Create category button element (with custom identification)
+   */
+  createCategoryButton(category, isCustom = false) {
+        const button = document.createElement('button');
+        button.className = 'category-tab';
+        button.dataset.category = category;
+        button.setAttribute('aria-pressed', 'false');
+        
+        if (isCustom) {
+        button.setAttribute('data-custom', 'true');
+        }
+        
+        const metadata = this.categoryMetadata[category];
+        const displayName = this.getCategoryDisplayName(category);
+        
+        if (category === 'breaking') {
+        button.innerHTML = `
+            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+            </svg>
+            <span>${this.escapeHtml(displayName)}</span>
+            <div style="width: 6px; height: 6px; background: #dc2626; border-radius: 50%; animation: pulse 1.5s infinite;"></div>
+        `;
+        } else {
+        button.innerHTML = `
+            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z"/>
+            </svg>
+            <span>${this.escapeHtml(displayName)}</span>
+        `;
+        }
+        
+        return button;
+    }
+    
+  /**
+   * Refresh news (manual trigger)
+   */
+  async refreshNews() {
+    const now = Date.now();
+    if (now - this.lastFetchTime < this.minFetchInterval) {
+      const remainingTime = Math.ceil((this.minFetchInterval - (now - this.lastFetchTime)) / 1000);
+      this.showNotification(`Please wait ${remainingTime} seconds before refreshing`, 'warning');
+      return;
+    }
+    
+    this.lastFetchTime = now;
+    console.log('🔄 Manual refresh triggered');
+    
+    // Animate refresh button
+    const refreshIcon = document.getElementById('refreshIcon');
+    refreshIcon.style.animation = 'spin 1s linear infinite';
+    
+    try {
+      await this.startProgressiveLoading();
+    } finally {
+      refreshIcon.style.animation = '';
+    }
+  }
+  
+  /**
+   * Update progress bar
+   */
+  updateProgressBar(percentage) {
+    const progressBar = document.getElementById('progressBar');
+    progressBar.style.transform = `scaleX(${percentage / 100})`;
+  }
+  
+  /**
+   * Update loading status text
+   */
+  updateLoadingStatus(message) {
+    const statusElement = document.getElementById('loadingStatus');
+    statusElement.textContent = message;
+  }
+  
+  /**
+   * Update article count display
+   */
+  updateArticleCount(count, total = count) {
+    const countElement = document.getElementById('articleCount');
+    const noun = this.searchQuery ? 'results' : 'articles';
+    countElement.textContent = count < total ? `${count} of ${total} ${noun}` : `${count} ${noun}`;
+  }
+  
+  /**
+   * Update last updated time display
+   */
+  updateLastUpdatedTime() {
+    if (!this.lastUpdateTime) return;
+    
+    const timeString = this.lastUpdateTime.toLocaleTimeString('en-US', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    
+    const statusElement = document.querySelector('.status-text');
+    if (statusElement) {
+      statusElement.textContent = `Updated ${timeString}`;
+    }
+  }
+  
+  /**
+   * Update active sources display
+   */
+  updateActiveSourcesDisplay() {
+    const activeSources = this.getActiveSources();
+    const sourceNames = [...new Set(activeSources.map(s => s.name))];
+    
+    const infoElement = document.getElementById('activeSourcesInfo');
+    infoElement.textContent = `Personalized news from ${sourceNames.length} sources: ${sourceNames.slice(0, 3).join(', ')}${sourceNames.length > 3 ? '...' : ''}`;
+  }
+  
+  /**
+   * Open settings modal
+   */
+  openSettings() {
+    const modal = document.getElementById('settingsModal');
+    modal.setAttribute('aria-hidden', 'false');
+    
+    // Populate settings
+    this.populateSettingsModal();
+    
+    // Focus management
+    const firstInput = modal.querySelector('input, button');
+    if (firstInput) {
+      firstInput.focus();
+    }
+    
+    // Prevent body scroll
+    document.body.style.overflow = 'hidden';
+    
+    console.log('⚙️ Settings modal opened');
+  }
+  
+  /**
+   * Close settings modal
+   */
+  closeSettings() {
+    const modal = document.getElementById('settingsModal');
+    modal.setAttribute('aria-hidden', 'true');
+    
+    // Restore body scroll
+    document.body.style.overflow = '';
+    
+    // Return focus to settings button
+    document.getElementById('settingsBtn').focus();
+    
+    console.log('⚙️ Settings modal closed');
+  }
+  
+  /**
+   * Populate settings modal with current preferences
+   */
+  populateSettingsModal() {
+    this.populateCategoryGrid();
+    this.populateSourcesGrid();
+    this.populateCustomCategorySelect();
+    this.populateCustomLists();
+    this.populateProxySettings();
+    this.populateDisplaySettings();
+    this.populateMuteSettings();
+    this.populateDiagnosticsPanel();
+    this.updateSelectionCounts();
+    
+    document.getElementById('sourcesLimitLabel').textContent = `Select up to ${this.maxSourcesPerCategory} per category`;
+  }
+  
+  /**
+   * Populate the feed diagnostics table from source health records
+   */
+  populateDiagnosticsPanel() {
+    const tbody = document.getElementById('diagnosticsBody');
+    tbody.innerHTML = '';
+    
+    const sources = new Map();
+    this.getActiveSources().forEach(source => sources.set(source.id, source));
+    
+    if (sources.size === 0) {
+      const row = tbody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 8;
+      cell.textContent = 'No active sources';
+      return;
+    }
+    
+    sources.forEach(source => {
+      const health = this.sourceHealth[source.id];
+      const row = tbody.insertRow();
+      
+      let status = 'Not loaded yet';
+      let statusClass = '';
+      if (health) {
+        const failing = this.isSourceFailing(source.id);
+        status = health.consecutiveFailures === 0 ? 'OK' : (failing ? 'Failing' : 'Error');
+        statusClass = health.consecutiveFailures === 0 ? 'diagnostics-status--ok' : 'diagnostics-status--error';
+      }
+      
+      const cells = [
+        source.name,
+        status,
+        health?.lastSuccess ? this.getTimeAgo(new Date(health.lastSuccess).toISOString()) : '—',
+        health?.lastError
+          ? `${health.lastError} (${this.getTimeAgo(new Date(health.lastErrorAt).toISOString())})`
+          : '—',
+        health?.httpStatus || '—',
+        health ? health.itemCount : '—',
+        health ? health.parseFailures : '—',
+        health?.averageLatency != null ? `${Math.round(health.averageLatency)}ms` : '—'
+      ];
+      
+      cells.forEach((text, index) => {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (index === 1 && statusClass) {
+          cell.className = statusClass;
+        }
+      });
+      
+      row.title = source.url;
+    });
+  }
+  
+  /**
+   * Clear all source health records
+   */
+  clearDiagnostics() {
+    this.sourceHealth = {};
+    this.saveSourceHealth();
+    this.populateDiagnosticsPanel();
+    this.populateSourcesGrid();
+    this.showNotification('Feed diagnostics cleared', 'success');
+  }
+  
+  /**
+   * Populate the proxy chain textarea (one entry per line)
+   */
+  populateProxySettings() {
+    const input = document.getElementById('proxyListInput');
+    input.value = this.getProxyChain().join('\n');
+    
+    document.getElementById('catalogListInput').value = this.getCatalogUrls().join('\n');
+  }
+  
+  /**
+   * Populate mute rules in settings modal
+   */
+  populateMuteSettings() {
+    const rules = this.userPreferences.muteRules;
+    document.getElementById('muteKeywordsInput').value = rules.keywords.join('\n');
+    document.getElementById('muteDomainsInput').value = rules.domains.join('\n');
+    
+    const list = document.getElementById('mutedSourcesList');
+    list.innerHTML = '';
+    list.hidden = rules.sources.length === 0;
+    
+    const sourceNames = new Map(this.getAllKnownSources().map(source => [source.id, source.name]));
+    rules.sources.forEach((rule, index) => {
+      const item = this.createTextElement('div', 'custom-item');
+      const info = this.createTextElement('div', 'custom-item-info');
+      info.appendChild(this.createTextElement('div', 'custom-item-name', sourceNames.get(rule.sourceId) || rule.sourceId));
+      info.appendChild(this.createTextElement('div', 'custom-item-details',
+        rule.category ? `Muted in ${this.getCategoryDisplayName(rule.category)}` : 'Muted everywhere'));
+      
+      const button = this.createTextElement('button', 'btn btn--secondary', 'Unmute');
+      button.type = 'button';
+      button.dataset.action = 'unmute-source';
+      button.dataset.index = index;
+      
+      item.append(info, button);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * Check a muted domain is a bare hostname (example.com)
+   */
+  isValidMuteDomain(domain) {
+    return typeof domain === 'string' && /^(?:[a-z0-9-]+\.)+[a-z]{2,}$/.test(domain);
+  }
+  
+  /**
+   * Populate display options in settings modal
+   */
+  populateDisplaySettings() {
+    document.getElementById('fetchPageImagesInput').checked = !!this.userPreferences.fetchPageImages;
+    document.getElementById('articlesPerPageInput').value = this.maxArticles;
+    document.getElementById('articlesPerSourceInput').value = this.maxArticlesPerSource;
+    document.getElementById('infiniteScrollInput').checked = !!this.userPreferences.infiniteScroll;
+    document.getElementById('markReadOnScrollInput').checked = !!this.userPreferences.markReadOnScroll;
+    
+    // Thresholds from an imported backup may not match a preset
+    const thresholdSelect = document.getElementById('clusterThresholdInput');
+    const threshold = String(this.getClusterThreshold());
+    if (!Array.from(thresholdSelect.options).some(option => option.value === threshold)) {
+      thresholdSelect.add(new Option(`Custom (${threshold})`, threshold));
+    }
+    thresholdSelect.value = threshold;
+  }
+  
+  /**
+   * Populate category selection grid (consistent UI for built-in and custom)
+   */
+  populateCategoryGrid() {
+    const grid = document.getElementById('categoryGrid');
+    grid.innerHTML = '';
+    
+    // Built-in categories
+    Object.entries(this.categoryMetadata).forEach(([key, metadata]) => {
+      const isSelected = this.userPreferences.categories.includes(key);
+      const item = this.createCategoryCheckboxItem(key, metadata.name, this.getCategoryDescription(key), isSelected, false);
+      grid.appendChild(item);
+    });
+    
+    // Custom categories
+    this.userPreferences.customCategories.forEach((categoryName, index) => {
+      const categoryKey = categoryName.toLowerCase().replace(/\s+/g, '');
+      const isSelected = this.userPreferences.categories.includes(categoryKey);
+      const item = this.createCategoryCheckboxItem(categoryKey, categoryName, 'Custom news category', isSelected, true);
+      grid.appendChild(item);
+    });
+    
+    // Add event listeners to all checkboxes
+    grid.querySelectorAll('.category-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.validateCategorySelection();
+        this.updateSelectionCounts();
+        this.populateSourcesGrid();
+      });
+    });
+  }
+  
+  /**
+   * Create consistent checkbox item for categories (both built-in and custom)
+   */
+  createCategoryCheckboxItem(key, name, description, isSelected, isCustom) {
+    const item = document.createElement('label');
+    item.className = 'checkbox-item';
+    
+    if (isCustom) {
+      item.setAttribute('data-custom', 'true');
+    }
+    
+    const safeKey = this.escapeHtml(key);
+    
+    item.innerHTML = `
+      <input 
+        type="checkbox" 
+        class="category-checkbox" 
+        value="${safeKey}" 
+        ${isSelected ? 'checked' : ''}
+        aria-describedby="cat-${safeKey}-desc"
+      >
+      <div class="checkbox-content">
+        <div class="checkbox-label">${this.escapeHtml(name)}</div>
+        <div id="cat-${safeKey}-desc" class="checkbox-description">${this.escapeHtml(description)}</div>
+      </div>
+    `;
+    
+    return item;
+  }
+  
+  /**
+   * Get category description for accessibility
+   */
+  getCategoryDescription(category) {
+    return this.categoryMetadata[category]?.description || 'News category';
+  }
+  
+  /**
+   * Validate category selection limits
+   */
+  validateCategorySelection() {
+    const checkedCategories = document.querySelectorAll('.category-checkbox:checked');
+    const uncheckedCategories = document.querySelectorAll('.category-checkbox:not(:checked)');
+    
+    // Enforce maximum limit
+    if (checkedCategories.length > this.maxCategoriesUser) {
+      checkedCategories[checkedCategories.length - 1].checked = false;
+      this.showNotification(`Maximum ${this.maxCategoriesUser} categories allowed`, 'warning');
+      return;
+    }
+    
+    // Enable/disable unchecked based on limit
+    const atLimit = checkedCategories.length >= this.maxCategoriesUser;
+    uncheckedCategories.forEach(checkbox => {
+      checkbox.disabled = atLimit;
+    });
+    
+    // Minimum 1 category required
+    if (checkedCategories.length === 0) {
+      this.showNotification('At least 1 category must be selected', 'warning');
+    }
+  }
+  
+  /**
+   * Populate sources grid based on selected categories (consistent UI for built-in and custom)
+   */
+  populateSourcesGrid() {
+    const grid = document.getElementById('sourcesGrid');
+    grid.innerHTML = '';
+    
+    const selectedCategories = Array.from(document.querySelectorAll('.category-checkbox:checked'))
+      .map(cb => cb.value);
+    
+    selectedCategories.forEach(category => {
+      const categorySection = document.createElement('div');
+      categorySection.innerHTML = `
+        <h4 style="margin-bottom: 1rem; font-weight: 600; color: var(--color-text-primary);">
+          ${this.escapeHtml(this.getCategoryDisplayName(category))} Sources
+        </h4>
+        <div class="category-sources"></div>
+      `;
+      
+      const sourcesContainer = categorySection.querySelector('.category-sources');
+      
+      // Built-in sources for this category
+      if (this.defaultSources[category]) {
+        this.defaultSources[category].forEach(source => {
+          const isSelected = this.userPreferences.sources[category]?.includes(source.id) || false;
+          const item = this.createSourceCheckboxItem(source, category, isSelected, false);
+          sourcesContainer.appendChild(item);
+        });
+      }
+      
+      // Custom sources for this category
+      if (this.userPreferences.customSources[category]) {
+        this.userPreferences.customSources[category].forEach(customSource => {
+          const isSelected = true; // Custom sources are always selected if they exist
+          const item = this.createSourceCheckboxItem(customSource, category, isSelected, true);
+          sourcesContainer.appendChild(item);
+        });
+      }
+      
+      grid.appendChild(categorySection);
+    });
+    
+    // Add event listeners to all source checkboxes
+    grid.querySelectorAll('.source-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', () => {
+        this.validateSourceSelection(checkbox);
+        this.updateSelectionCounts();
+      });
+    });
+  }
+  
+  /**
+   * Create consistent checkbox item for sources (both built-in and custom)
+   */
+  createSourceCheckboxItem(source, category, isSelected, isCustom) {
+    const item = document.createElement('label');
+    item.className = 'checkbox-item source-item';
+    
+    if (isCustom) {
+      item.setAttribute('data-custom', 'true');
+    }
+    
+    const sourceUrl = source.url || source.rss || '';
+    const hostname = (sourceUrl && this.getHostname(sourceUrl)) || 'Custom RSS';
+    const safeId = this.escapeHtml(source.id);
+    const locale = [source.language, source.region].filter(Boolean).join(' · ').toUpperCase();
+    const health = this.sourceHealth[source.id];
+    const failingBadge = this.isSourceFailing(source.id)
+      ? `<span class="health-badge" title="Failed ${health.consecutiveFailures} times in a row">Failing</span>`
+      : '';
+    
+    item.innerHTML = `
+      <input 
+        type="checkbox" 
+        class="source-checkbox" 
+        value="${safeId}" 
+        data-category="${this.escapeHtml(category)}"
+        ${isSelected ? 'checked' : ''}
+        aria-describedby="src-${safeId}-desc"
+      >
+      <div class="checkbox-content">
+        <div class="checkbox-label">
+          ${this.escapeHtml(source.name)}
+          ${source.verified ? ' ✓' : ''}
+          ${failingBadge}
+        </div>
+        <div id="src-${safeId}-desc" class="checkbox-description">
+          ${this.escapeHtml(hostname)}${locale ? ` · ${this.escapeHtml(locale)}` : ''}
+        </div>
+      </div>
+    `;
+    
+    return item;
+  }
+  
+  /**
+   * Validate source selection limits per category
+   */
+  validateSourceSelection(changedCheckbox) {
+    const category = changedCheckbox.dataset.category;
+    const categorySources = document.querySelectorAll(`.source-checkbox[data-category="${category}"]:checked`);
+    
+    if (categorySources.length > this.maxSourcesPerCategory) {
+      changedCheckbox.checked = false;
+      this.showNotification(`Maximum ${this.maxSourcesPerCategory} sources per category`, 'warning');
+    }
+  }
+  
+  /**
+   * Populate custom category select dropdown
+   */
+  populateCustomCategorySelect() {
+    const select = document.getElementById('customSourceCategory');
+    select.innerHTML = '<option value="">Select category</option>';
+    
+    // Add default categories
+    Object.entries(this.categoryMetadata).forEach(([key, metadata]) => {
+      select.add(new Option(metadata.name, key));
+    });
+    
+    // Add custom categories
+    this.userPreferences.customCategories.forEach(category => {
+      const key = category.toLowerCase().replace(/\s+/g, '');
+      select.add(new Option(category, key));
+    });
+  }
+  
+  /**
+   * Populate custom categories and sources lists
+   */
+  populateCustomLists() {
+    // Custom categories
+    const categoriesList = document.getElementById('customCategoriesList');
+    categoriesList.innerHTML = '';
+    
+    this.userPreferences.customCategories.forEach((category, index) => {
+      const item = document.createElement('div');
+      item.className = 'custom-item';
+      const categoryKey = this.normalizeCategoryKey(category);
+      
+      item.innerHTML = `
+        <div class="custom-item-info">
+          <div class="custom-item-name">${this.escapeHtml(category)}</div>
+          <div class="custom-item-details">${this.escapeHtml(this.describeCategoryRule(this.userPreferences.categoryRules[categoryKey]))}</div>
+        </div>
+        <button 
+          type="button" 
+          class="btn btn--secondary" 
+          aria-label="Edit keyword rules for ${this.escapeHtml(category)}"
+          data-action="edit-rules"
+          data-category="${this.escapeHtml(categoryKey)}"
+        >
+          Rules
+        </button>
+        <button 
+          type="button" 
+          class="btn btn--icon" 
+          aria-label="Remove ${this.escapeHtml(category)}"
+          data-action="remove-category"
+          data-index="${index}"
+        >
+          <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+          </svg>
+        </button>
+      `;
+      categoriesList.appendChild(item);
+      categoriesList.appendChild(this.createRuleEditor(categoryKey));
+    });
+    
+    // Custom sources
+    const sourcesList = document.getElementById('customSourcesList');
+    sourcesList.innerHTML = '';
+    
+    Object.entries(this.userPreferences.customSources).forEach(([category, sources]) => {
+      sources.forEach((source, index) => {
+        const item = document.createElement('div');
+        item.className = 'custom-item';
+        item.innerHTML = `
+          <div class="custom-item-info">
+            <div class="custom-item-name">${this.escapeHtml(source.name)}</div>
+            <div class="custom-item-details">${this.escapeHtml(source.url)} (${this.escapeHtml(category)})</div>
+          </div>
+          <button 
+            type="button" 
+            class="btn btn--icon" 
+            aria-label="Remove ${this.escapeHtml(source.name)}"
+            data-action="remove-source"
+            data-category="${this.escapeHtml(category)}"
+            data-index="${index}"
+          >
+            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+            </svg>
+          </button>
+        `;
+        sourcesList.appendChild(item);
+      });
+    });
+  }
+  
+  /**
+   * Update selection counts in modal
+   */
+  updateSelectionCounts() {
+    const selectedCategories = document.querySelectorAll('.category-checkbox:checked').length;
+    const selectedSources = document.querySelectorAll('.source-checkbox:checked').length;
     
-    // Check custom categories
-    return this.userPreferences.customCategories.some(cat => 
-            this.normalizeCategoryKey(cat) === normalizedKey
-        );
-        }
-
-    /**
-     * Updated addCustomCategory to prevent conflicts
-     */
-    addCustomCategory() {
+    document.getElementById('selectedCategoriesCount').textContent = selectedCategories;
+    document.getElementById('selectedSourcesCount').textContent = selectedSources;
+  }
+  
+  /**
+   * Add custom category
+   */
+  addCustomCategory() {
     const input = document.getElementById('customCategoryInput');
     const name = input.value.trim();
     
     if (!name) {
-            this.showNotification('Please enter a category name', 'warning');
-            input.focus();
-            return;
-        }
-        
-        if (this.userPreferences.customCategories.length >= 9) {
-            this.showNotification('Maximum 9 custom categories allowed', 'warning');
-            return;
-        }
-        
-        // Check for conflicts with existing categories (case-insensitive)
-        if (this.categoryExists(name)) {
-            this.showNotification('A category with this name already exists', 'warning');
-            input.focus();
-            return;
-        }
-        
-        this.userPreferences.customCategories.push(name);
-        input.value = '';
-        
-        this.populateCustomLists();
-        this.populateCustomCategorySelect();
-        this.populateCategoryGrid(); // Refresh to show new custom category
-        
-        this.showNotification(`Added custom category: ${name}`, 'success');
-        }
+      this.showNotification('Please enter a category name', 'warning');
+      input.focus();
+      return;
+    }
+    
+    if (this.userPreferences.customCategories.length >= this.maxCustomCategories) {
+      this.showNotification(`Maximum ${this.maxCustomCategories} custom categories allowed`, 'warning');
+      return;
+    }
+    
+    if (this.userPreferences.customCategories.includes(name)) {
+      this.showNotification('Category already exists', 'warning');
+      input.focus();
+      return;
+    }
+    
+    this.userPreferences.customCategories.push(name);
+    input.value = '';
+    
+    this.populateCustomLists();
+    this.populateCustomCategorySelect();
+    this.populateCategoryGrid(); // Refresh to show new custom category
+    
+    // Offer keyword rules straight away so the category isn't just a label
+    this.toggleRuleEditor(this.normalizeCategoryKey(name), true);
+    
+    this.showNotification(`Added custom category: ${name}`, 'success');
+  }
+  
   /**
-   * Create category button element (with custom identification)
+   * Show or hide the keyword rule editor for a custom category
    */
-  createCategoryButton(category, isCustom = false) {
-        const button = document.createElement('button');
-        button.className = 'category-tab';
-        button.dataset.category = category;
-        button.setAttribute('aria-pressed', 'false');
-        
-        if (isCustom) {
-        button.setAttribute('data-custom', 'true');
-        }
-        
-        const metadata = this.categoryMetadata[category];
-        const displayName = this.getCategoryDisplayName(category);
-        
-        if (category === 'breaking') {
-        button.innerHTML = `
-            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
-            </svg>
-            <span>${displayName}</span>
-            <div style="width: 6px; height: 6px; background: #dc2626; border-radius: 50%; animation: pulse 1.5s infinite;"></div>
-        `;
-        } else {
-        button.innerHTML = `
-            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 20H5a2 2 0 01-2-2V6a2 2 0 012-2h10a2 2 0 012 2v1m2 13a2 2 0 01-2-2V7m2 13a2 2 0 002-2V9a2 2 0 00-2-2h-2m-4-3H9M7 16h6M7 8h6v4H7V8z"/>
-            </svg>
-            <span>${displayName}</span>
-        `;
-        }
-        
-        return button;
+  toggleRuleEditor(categoryKey, open) {
+    const editor = Array.from(document.querySelectorAll('#customCategoriesList .rule-editor'))
+      .find(element => element.dataset.category === categoryKey);
+    
+    if (editor) {
+      editor.hidden = open === undefined ? !editor.hidden : !open;
+      if (!editor.hidden) {
+        editor.querySelector('textarea').focus();
+      }
+    }
+  }
+  
+  /**
+   * Build the keyword rule editor for a custom category
+   */
+  createRuleEditor(categoryKey) {
+    const rule = this.userPreferences.categoryRules[categoryKey] || { include: [], exclude: [], sources: [] };
+    const editor = this.createTextElement('div', 'rule-editor custom-form--vertical');
+    editor.dataset.category = categoryKey;
+    editor.hidden = true;
+    
+    const addField = (labelText, field) => {
+      const label = this.createTextElement('label', 'checkbox-description', labelText);
+      label.appendChild(field);
+      editor.appendChild(label);
+    };
+    
+    const include = this.createTextElement('textarea', 'input-field input-field--code rule-editor__include');
+    include.rows = 3;
+    include.value = rule.include.join('\n');
+    include.placeholder = 'climate\n"global warming"\nemission*\n/carbon (tax|price)/';
+    addField('Match articles containing any of (one per line: keyword, keyword*, "phrase" or /regex/)', include);
+    
+    const exclude = this.createTextElement('textarea', 'input-field input-field--code rule-editor__exclude');
+    exclude.rows = 2;
+    exclude.value = rule.exclude.join('\n');
+    addField('But not containing any of', exclude);
+    
+    const sources = this.createTextElement('select', 'input-field rule-editor__sources');
+    sources.multiple = true;
+    sources.size = 5;
+    this.getAllKnownSources().forEach(source => {
+      const option = new Option(source.name, source.id);
+      option.selected = rule.sources.includes(source.id);
+      sources.add(option);
+    });
+    addField('Only from these sources (none selected = all sources)', sources);
+    
+    const saveButton = this.createTextElement('button', 'btn btn--secondary', 'Save rules');
+    saveButton.type = 'button';
+    saveButton.dataset.action = 'save-rules';
+    editor.appendChild(saveButton);
+    
+    return editor;
+  }
+  
+  /**
+   * Store the rules from a category's editor after checking every term compiles
+   */
+  saveCategoryRule(editor) {
+    const categoryKey = editor.dataset.category;
+    const readTerms = selector => editor.querySelector(selector).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    
+    const rule = {
+      include: readTerms('.rule-editor__include'),
+      exclude: readTerms('.rule-editor__exclude'),
+      sources: Array.from(editor.querySelector('.rule-editor__sources').selectedOptions).map(option => option.value)
+    };
+    
+    const invalidTerm = [...rule.include, ...rule.exclude].find(term => !this.parseRuleTerm(term));
+    if (invalidTerm) {
+      this.showNotification(`Invalid rule: ${invalidTerm}`, 'error');
+      return;
+    }
+    
+    if (rule.include.length + rule.exclude.length > this.maxRuleTerms) {
+      this.showNotification(`Maximum ${this.maxRuleTerms} rule terms per category`, 'warning');
+      return;
+    }
+    
+    if (rule.include.length === 0 && rule.exclude.length === 0 && rule.sources.length === 0) {
+      delete this.userPreferences.categoryRules[categoryKey];
+    } else {
+      this.userPreferences.categoryRules[categoryKey] = rule;
     }
     
+    this.compileCategoryRules();
+    this.populateCustomLists();
+    this.showNotification(`Rules updated for ${this.getCategoryDisplayName(categoryKey)}`, 'success');
+  }
+  
   /**
-   * Refresh news (manual trigger)
+   * Summarize a category's rules for the custom category list
    */
-  async refreshNews() {
-    const now = Date.now();
-    if (now - this.lastFetchTime < this.minFetchInterval) {
-      const remainingTime = Math.ceil((this.minFetchInterval - (now - this.lastFetchTime)) / 1000);
-      this.showNotification(`Please wait ${remainingTime} seconds before refreshing`, 'warning');
+  describeCategoryRule(rule) {
+    if (!rule) return 'No rules: shows articles from sources added to this category';
+    
+    const parts = [];
+    if (rule.include.length > 0) parts.push(`matches ${rule.include.slice(0, 3).join(', ')}${rule.include.length > 3 ? '…' : ''}`);
+    if (rule.exclude.length > 0) parts.push(`excludes ${rule.exclude.length}`);
+    parts.push(rule.sources.length > 0 ? `${rule.sources.length} ${rule.sources.length === 1 ? 'source' : 'sources'}` : 'all sources');
+    
+    return parts.join(' · ');
+  }
+  
+  /**
+   * List every catalog and custom source once, by name
+   */
+  getAllKnownSources() {
+    const sources = new Map();
+    
+    Object.values(this.defaultSources).flat().forEach(source => sources.set(source.id, source));
+    Object.values(this.userPreferences.customSources).flat().forEach(source => sources.set(source.id, source));
+    
+    return Array.from(sources.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Remove custom category
+   */
+  removeCustomCategory(index) {
+    const category = this.userPreferences.customCategories[index];
+    
+    if (confirm(`Remove custom category "${category}"?`)) {
+      this.userPreferences.customCategories.splice(index, 1);
+      
+      // Also remove from user's selected categories
+      const categoryKey = category.toLowerCase().replace(/\s+/g, '');
+      this.userPreferences.categories = this.userPreferences.categories.filter(cat => cat !== categoryKey);
+      
+      // Remove associated custom sources and keyword rules
+      delete this.userPreferences.customSources[categoryKey];
+      delete this.userPreferences.categoryRules[categoryKey];
+      this.compileCategoryRules();
+      
+      this.populateCustomLists();
+      this.populateCustomCategorySelect();
+      this.populateCategoryGrid(); // Refresh to hide removed category
+      
+      this.showNotification(`Removed custom category: ${category}`, 'success');
+    }
+  }
+  
+  /**
+   * Add custom RSS source (validates and previews the feed before saving)
+   */
+  async addCustomSource() {
+    const nameInput = document.getElementById('customSourceName');
+    const urlInput = document.getElementById('customSourceURL');
+    const categorySelect = document.getElementById('customSourceCategory');
+    const addButton = document.getElementById('addSourceBtn');
+    
+    const name = nameInput.value.trim();
+    const url = urlInput.value.trim();
+    const category = categorySelect.value;
+    
+    if (!name || !url || !category) {
+      this.showNotification('Please fill all fields', 'warning');
       return;
     }
     
-    this.lastFetchTime = now;
-    console.log('🔄 Manual refresh triggered');
+    if (!url.startsWith('https://')) {
+      this.showNotification('RSS URL must use HTTPS', 'warning');
+      urlInput.focus();
+      return;
+    }
     
-    // Animate refresh button
-    const refreshIcon = document.getElementById('refreshIcon');
-    refreshIcon.style.animation = 'spin 1s linear infinite';
+    const problem = this.getCustomSourceProblem(name, url, category);
+    if (problem) {
+      this.showNotification(problem, 'warning');
+      return;
+    }
+    
+    const draft = {
+      id: `custom-${Date.now()}`,
+      name,
+      url,
+      verified: false,
+      isCustom: true
+    };
+    
+    addButton.disabled = true;
+    addButton.textContent = 'Checking feed...';
     
     try {
-      await this.startProgressiveLoading();
+      const articles = await this.testFeed({ ...draft, category });
+      this.renderSourcePreview(articles, null, () => this.saveCustomSource(draft, category));
+    } catch (error) {
+      console.warn(`Custom source check failed for ${url}:`, error);
+      this.renderSourcePreview([], error, null);
     } finally {
-      refreshIcon.style.animation = '';
+      addButton.disabled = false;
+      addButton.textContent = 'Add RSS Source';
+    }
+  }
+  
+  /**
+   * Check the per-category limit and duplicates for a custom source (null if it can be added)
+   */
+  getCustomSourceProblem(name, url, category) {
+    const existingSources = this.userPreferences.customSources[category] || [];
+    
+    if (existingSources.length >= this.maxSourcesPerCategory) {
+      return `Maximum ${this.maxSourcesPerCategory} custom sources per category`;
+    }
+    
+    // Check for duplicates
+    const exists = existingSources.some(source => 
+      source.name === name || source.url === url
+    );
+    
+    return exists ? 'Source already exists' : null;
+  }
+  
+  /**
+   * Test-fetch and parse a feed, throwing a descriptive error on failure
+   */
+  async testFeed(source) {
+    const response = await this.fetchWithRetry(source.url, {
+      headers: {
+        'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml'
+      }
+    });
+    
+    return this.parseFeedResponse(response, source);
+  }
+  
+  /**
+   * Show parsed preview items (or the failure reason) for a custom source
+   */
+  renderSourcePreview(articles, error, onConfirm) {
+    const preview = document.getElementById('sourcePreview');
+    preview.innerHTML = '';
+    preview.hidden = false;
+    preview.classList.toggle('source-preview--error', !!error);
+    
+    const heading = document.createElement('div');
+    heading.className = 'source-preview__heading';
+    
+    if (error) {
+      heading.textContent = `Feed check failed: ${this.explainFeedError(error)}`;
+      preview.appendChild(heading);
+      return;
     }
+    
+    heading.textContent = `Feed OK: ${articles.length} item${articles.length === 1 ? '' : 's'} found. Preview:`;
+    preview.appendChild(heading);
+    
+    articles.slice(0, 3).forEach(article => {
+      const item = document.createElement('div');
+      item.className = 'source-preview__item';
+      
+      if (article.imageUrl) {
+        const image = document.createElement('img');
+        image.className = 'source-preview__image';
+        image.src = article.imageUrl;
+        image.alt = '';
+        image.loading = 'lazy';
+        item.appendChild(image);
+      }
+      
+      const info = document.createElement('div');
+      
+      const title = document.createElement('div');
+      title.className = 'custom-item-name';
+      title.textContent = article.title;
+      
+      const meta = document.createElement('div');
+      meta.className = 'custom-item-details';
+      meta.textContent = [
+        article.publishedAt ? this.formatFullDate(article.publishedAt) : 'no date',
+        article.imageUrl ? 'image detected' : 'no image'
+      ].join(' · ');
+      
+      info.append(title, meta);
+      item.appendChild(info);
+      preview.appendChild(item);
+    });
+    
+    const actions = document.createElement('div');
+    actions.className = 'source-preview__actions';
+    
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.className = 'btn btn--primary';
+    confirmButton.textContent = 'Save Source';
+    confirmButton.addEventListener('click', onConfirm);
+    
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.className = 'btn btn--outline';
+    cancelButton.textContent = 'Discard';
+    cancelButton.addEventListener('click', () => this.clearSourcePreview());
+    
+    actions.append(cancelButton, confirmButton);
+    preview.appendChild(actions);
   }
   
   /**
-   * Update progress bar
+   * Turn a feed check error into a user-facing explanation
    */
-  updateProgressBar(percentage) {
-    const progressBar = document.getElementById('progressBar');
-    progressBar.style.transform = `scaleX(${percentage / 100})`;
+  explainFeedError(error) {
+    if (error.status === 404) return 'the feed URL was not found (HTTP 404)';
+    if (error.status === 401 || error.status === 403) return `access denied (HTTP ${error.status})`;
+    if (error.status && !error.isParseError) return `the server returned HTTP ${error.status}`;
+    if (error.isParseError) return error.message;
+    return `the feed could not be reached (${error.message})`;
   }
   
   /**
-   * Update loading status text
+   * Hide and clear the custom source preview
    */
-  updateLoadingStatus(message) {
-    const statusElement = document.getElementById('loadingStatus');
-    statusElement.textContent = message;
+  clearSourcePreview() {
+    const preview = document.getElementById('sourcePreview');
+    preview.innerHTML = '';
+    preview.hidden = true;
   }
   
   /**
-   * Update article count display
+   * Save a validated custom source
    */
-  updateArticleCount(count) {
-    const countElement = document.getElementById('articleCount');
-    countElement.textContent = `${count} articles`;
+  saveCustomSource(source, category) {
+    // Another add may have finished while this feed was being checked
+    const problem = this.getCustomSourceProblem(source.name, source.url, category);
+    if (problem) {
+      this.showNotification(problem, 'warning');
+      return;
+    }
+    
+    // Initialize category if needed
+    if (!this.userPreferences.customSources[category]) {
+      this.userPreferences.customSources[category] = [];
+    }
+    
+    this.userPreferences.customSources[category].push(source);
+    
+    // Clear inputs
+    document.getElementById('customSourceName').value = '';
+    document.getElementById('customSourceURL').value = '';
+    document.getElementById('customSourceCategory').value = '';
+    this.renderFeedCandidates([]);
+    this.clearSourcePreview();
+    
+    this.populateCustomLists();
+    this.populateSourcesGrid(); // Refresh to show new custom source
+    
+    this.showNotification(`Added custom source: ${source.name}`, 'success');
   }
   
   /**
-   * Update last updated time display
+   * Discover feeds from the URL in the custom source form and list them
    */
-  updateLastUpdatedTime() {
-    if (!this.lastUpdateTime) return;
+  async discoverCustomSourceFeeds() {
+    const urlInput = document.getElementById('customSourceURL');
+    const button = document.getElementById('discoverFeedsBtn');
+    const pageUrl = this.normalizeInputUrl(urlInput.value);
     
-    const timeString = this.lastUpdateTime.toLocaleTimeString('en-US', {
-      hour: '2-digit',
-      minute: '2-digit'
-    });
+    if (!pageUrl) {
+      this.showNotification('Please enter a website or feed URL', 'warning');
+      urlInput.focus();
+      return;
+    }
     
-    const statusElement = document.querySelector('.status-text');
-    if (statusElement) {
-      statusElement.textContent = `Updated ${timeString}`;
+    button.disabled = true;
+    button.textContent = 'Searching...';
+    
+    try {
+      const candidates = await this.discoverFeeds(pageUrl);
+      this.renderFeedCandidates(candidates);
+      
+      if (candidates.length === 0) {
+        this.showNotification('No feeds found on that page', 'warning');
+      } else if (candidates.length === 1) {
+        this.selectFeedCandidate(candidates[0]);
+      }
+    } catch (error) {
+      console.error('Feed discovery failed:', error);
+      this.renderFeedCandidates([]);
+      this.showNotification(`Could not load ${new URL(pageUrl).hostname}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Find Feeds';
     }
   }
   
   /**
-   * Update active sources display
+   * Normalize user input into an absolute http(s) URL (defaults to https)
    */
-  updateActiveSourcesDisplay() {
-    const activeSources = this.getActiveSources();
-    const sourceNames = [...new Set(activeSources.map(s => s.name))];
+  normalizeInputUrl(value) {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
     
-    const infoElement = document.getElementById('activeSourcesInfo');
-    infoElement.textContent = `Personalized news from ${sourceNames.length} sources: ${sourceNames.slice(0, 3).join(', ')}${sourceNames.length > 3 ? '...' : ''}`;
+    try {
+      const urlObj = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+      return urlObj.protocol === 'https:' || urlObj.protocol === 'http:' ? urlObj.toString() : null;
+    } catch {
+      return null;
+    }
   }
   
   /**
-   * Open settings modal
+   * Find feeds for a page: the URL itself, <link rel="alternate"> tags, then common paths
    */
-  openSettings() {
-    const modal = document.getElementById('settingsModal');
-    modal.setAttribute('aria-hidden', 'false');
+  async discoverFeeds(pageUrl) {
+    const response = await this.fetchFeed(pageUrl, {
+      headers: { 'Accept': 'text/html, application/xhtml+xml, application/rss+xml, application/atom+xml, application/feed+json' }
+    });
     
-    // Populate settings
-    this.populateSettingsModal();
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
     
-    // Focus management
-    const firstInput = modal.querySelector('input, button');
-    if (firstInput) {
-      firstInput.focus();
+    const text = await response.text();
+    
+    // The URL was already a feed
+    const direct = this.inspectFeedText(response, text);
+    if (direct) {
+      return [{ url: this.upgradeToHttps(pageUrl), title: direct.title, format: direct.format }];
     }
     
-    // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+    // response.url is the proxy URL, so relative links resolve against the page itself
+    const linked = this.findAlternateFeedLinks(text, pageUrl);
+    const origin = new URL(pageUrl).origin;
+    const probes = linked.length > 0
+      ? linked
+      : this.commonFeedPaths.map(path => ({ url: `${origin}${path}`, title: '' }));
+    
+    // Verify each candidate is a feed and read its <title>
+    const results = await this.runWithConcurrency(
+      probes.map(candidate => () => this.probeFeedCandidate(candidate)),
+      this.fetchConcurrency
+    );
     
-    console.log('⚙️ Settings modal opened');
+    const seen = new Set();
+    return results
+      .filter(result => result.status === 'fulfilled' && result.value)
+      .map(result => result.value)
+      .filter(candidate => !seen.has(candidate.url) && seen.add(candidate.url));
   }
   
   /**
-   * Close settings modal
+   * Collect <link rel="alternate"> feed URLs from an HTML page
    */
-  closeSettings() {
-    const modal = document.getElementById('settingsModal');
-    modal.setAttribute('aria-hidden', 'true');
-    
-    // Restore body scroll
-    document.body.style.overflow = '';
-    
-    // Return focus to settings button
-    document.getElementById('settingsBtn').focus();
-    
-    console.log('⚙️ Settings modal closed');
+  findAlternateFeedLinks(html, baseUrl) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const feedTypes = ['application/rss+xml', 'application/atom+xml', 'application/feed+json', 'application/json'];
+    
+    return Array.from(doc.querySelectorAll('link[rel~="alternate"][href]'))
+      .filter(link => feedTypes.includes((link.getAttribute('type') || '').toLowerCase()))
+      .map(link => {
+        try {
+          return {
+            url: new URL(link.getAttribute('href'), baseUrl).toString(),
+            title: (link.getAttribute('title') || '').trim()
+          };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
   }
   
   /**
-   * Populate settings modal with current preferences
+   * Fetch a candidate URL and keep it only if it is a feed
    */
-  populateSettingsModal() {
-    this.populateCategoryGrid();
-    this.populateSourcesGrid();
-    this.populateCustomCategorySelect();
-    this.populateCustomLists();
-    this.updateSelectionCounts();
+  async probeFeedCandidate(candidate) {
+    const url = this.upgradeToHttps(candidate.url);
+    
+    try {
+      const response = await this.fetchFeed(url, {
+        headers: { 'Accept': 'application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml' }
+      });
+      if (!response.ok) return null;
+      
+      const info = this.inspectFeedText(response, await response.text());
+      if (!info) return null;
+      
+      return { url, title: info.title || candidate.title, format: info.format };
+    } catch (error) {
+      console.warn(`Feed probe failed for ${url}:`, error.message);
+      return null;
+    }
   }
   
   /**
-   * Populate category selection grid (consistent UI for built-in and custom)
+   * Identify a feed body, returning its format and title (or null if not a feed)
    */
-  populateCategoryGrid() {
-    const grid = document.getElementById('categoryGrid');
-    grid.innerHTML = '';
+  inspectFeedText(response, text) {
+    if (this.isJSONFeed(response, text)) {
+      try {
+        const feed = JSON.parse(text);
+        return Array.isArray(feed?.items) ? { format: 'JSON Feed', title: (feed.title || '').trim() } : null;
+      } catch {
+        return null;
+      }
+    }
     
-    // Built-in categories
-    Object.entries(this.categoryMetadata).forEach(([key, metadata]) => {
-      const isSelected = this.userPreferences.categories.includes(key);
-      const item = this.createCategoryCheckboxItem(key, metadata.name, this.getCategoryDescription(key), isSelected, false);
-      grid.appendChild(item);
-    });
+    const xmlDoc = new DOMParser().parseFromString(text, 'text/xml');
+    if (xmlDoc.querySelector('parsererror')) return null;
     
-    // Custom categories
-    this.userPreferences.customCategories.forEach((categoryName, index) => {
-      const categoryKey = categoryName.toLowerCase().replace(/\s+/g, '');
-      const isSelected = this.userPreferences.categories.includes(categoryKey);
-      const item = this.createCategoryCheckboxItem(categoryKey, categoryName, 'Custom news category', isSelected, true);
-      grid.appendChild(item);
-    });
+    const formats = { rss: 'RSS', RDF: 'RSS', feed: 'Atom' };
+    const format = formats[xmlDoc.documentElement?.localName];
+    if (!format) return null;
     
-    // Add event listeners to all checkboxes
-    grid.querySelectorAll('.category-checkbox').forEach(checkbox => {
-      checkbox.addEventListener('change', () => {
-        this.validateCategorySelection();
-        this.updateSelectionCounts();
-        this.populateSourcesGrid();
-      });
-    });
+    const titleElement = format === 'Atom'
+      ? xmlDoc.querySelector('feed > title')
+      : xmlDoc.querySelector('channel > title');
+    
+    return { format, title: titleElement ? this.sanitizeText(titleElement.textContent) : '' };
   }
   
   /**
-   * Create consistent checkbox item for categories (both built-in and custom)
+   * Upgrade an http URL to https (custom sources must use HTTPS)
    */
-  createCategoryCheckboxItem(key, name, description, isSelected, isCustom) {
-    const item = document.createElement('label');
-    item.className = 'checkbox-item';
-    
-    if (isCustom) {
-      item.setAttribute('data-custom', 'true');
-    }
-    
-    item.innerHTML = `
-      <input 
-        type="checkbox" 
-        class="category-checkbox" 
-        value="${key}" 
-        ${isSelected ? 'checked' : ''}
-        aria-describedby="cat-${key}-desc"
-      >
-      <div class="checkbox-content">
-        <div class="checkbox-label">${name}</div>
-        <div id="cat-${key}-desc" class="checkbox-description">${description}</div>
-      </div>
-    `;
-    
-    return item;
+  upgradeToHttps(url) {
+    return url.replace(/^http:\/\//i, 'https://');
   }
   
   /**
-   * Get category description for accessibility
+   * Render discovered feed candidates for the user to pick from
    */
-  getCategoryDescription(category) {
-    const descriptions = {
-      breaking: 'Urgent news and developing stories',
-      world: 'International news and global events',
-      politics: 'Political news and government updates',
-      business: 'Business news and market updates',
-      technology: 'Tech news and innovation',
-      sports: 'Sports news and scores'
-    };
-    
-    return descriptions[category] || 'News category';
+  renderFeedCandidates(candidates) {
+    const list = document.getElementById('feedCandidates');
+    list.innerHTML = '';
+    list.hidden = candidates.length === 0;
+    
+    candidates.forEach(candidate => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'feed-candidate';
+      button.dataset.url = candidate.url;
+      
+      const name = document.createElement('span');
+      name.className = 'custom-item-name';
+      name.textContent = candidate.title || new URL(candidate.url).hostname;
+      
+      const details = document.createElement('span');
+      details.className = 'custom-item-details';
+      details.textContent = `${candidate.format} · ${candidate.url}`;
+      
+      button.append(name, details);
+      button.addEventListener('click', () => this.selectFeedCandidate(candidate));
+      list.appendChild(button);
+    });
   }
   
   /**
-   * Validate category selection limits
+   * Fill the custom source form from a discovered feed
    */
-  validateCategorySelection() {
-    const checkedCategories = document.querySelectorAll('.category-checkbox:checked');
-    const uncheckedCategories = document.querySelectorAll('.category-checkbox:not(:checked)');
+  selectFeedCandidate(candidate) {
+    const nameInput = document.getElementById('customSourceName');
+    document.getElementById('customSourceURL').value = candidate.url;
+    this.clearSourcePreview();
     
-    // Enforce maximum limit
-    if (checkedCategories.length > this.maxCategoriesUser) {
-      checkedCategories[checkedCategories.length - 1].checked = false;
-      this.showNotification(`Maximum ${this.maxCategoriesUser} categories allowed`, 'warning');
-      return;
+    if (!nameInput.value.trim() && candidate.title) {
+      nameInput.value = candidate.title.substring(0, 50);
     }
     
-    // Enable/disable unchecked based on limit
-    const atLimit = checkedCategories.length >= this.maxCategoriesUser;
-    uncheckedCategories.forEach(checkbox => {
-      checkbox.disabled = atLimit;
+    document.querySelectorAll('.feed-candidate').forEach(button => {
+      button.classList.toggle('feed-candidate--selected', button.dataset.url === candidate.url);
     });
-    
-    // Minimum 1 category required
-    if (checkedCategories.length === 0) {
-      this.showNotification('At least 1 category must be selected', 'warning');
+  }
+  
+  /**
+   * Read an OPML file and import its feeds
+   */
+  async importOPMLFile(file) {
+    try {
+      const text = await file.text();
+      const report = this.importOPML(text);
+      
+      this.populateSettingsModal();
+      this.renderImportReport(report);
+      
+      this.showNotification(
+        `Imported ${report.added.length} sources (${report.duplicates.length} duplicates, ${report.skipped.length} skipped)`,
+        report.added.length > 0 ? 'success' : 'warning'
+      );
+    } catch (error) {
+      console.error('OPML import failed:', error);
+      this.showNotification(`OPML import failed: ${error.message}`, 'error');
     }
   }
   
   /**
-   * Populate sources grid based on selected categories (consistent UI for built-in and custom)
+   * Import feeds from OPML text into preferences.
+   * Each feed's innermost <outline> group maps to a category; feeds outside a group go to "Imported".
    */
-  populateSourcesGrid() {
-    const grid = document.getElementById('sourcesGrid');
-    grid.innerHTML = '';
+  importOPML(opmlText) {
+    const xmlDoc = new DOMParser().parseFromString(opmlText, 'text/xml');
     
-    const selectedCategories = Array.from(document.querySelectorAll('.category-checkbox:checked'))
-      .map(cb => cb.value);
+    if (xmlDoc.querySelector('parsererror') || xmlDoc.documentElement.localName !== 'opml') {
+      throw new Error('Not a valid OPML file');
+    }
     
-    selectedCategories.forEach(category => {
-      const categorySection = document.createElement('div');
-      categorySection.innerHTML = `
-        <h4 style="margin-bottom: 1rem; font-weight: 600; color: var(--color-text-primary);">
-          ${this.getCategoryDisplayName(category)} Sources
-        </h4>
-        <div class="category-sources"></div>
-      `;
-      
-      const sourcesContainer = categorySection.querySelector('.category-sources');
+    const body = xmlDoc.querySelector('body');
+    if (!body) {
+      throw new Error('OPML file has no <body>');
+    }
+    
+    // Collect feeds with the innermost group they belong to
+    const entries = [];
+    const collect = (outline, groupName) => {
+      const xmlUrl = outline.getAttribute('xmlUrl');
+      const label = (outline.getAttribute('title') || outline.getAttribute('text') || '').trim();
       
-      // Built-in sources for this category
-      if (this.defaultSources[category]) {
-        this.defaultSources[category].forEach(source => {
-          const isSelected = this.userPreferences.sources[category]?.includes(source.id) || false;
-          const item = this.createSourceCheckboxItem(source, category, isSelected, false);
-          sourcesContainer.appendChild(item);
-        });
+      if (xmlUrl) {
+        entries.push({ name: label, url: xmlUrl.trim(), group: groupName });
       }
       
-      // Custom sources for this category
-      if (this.userPreferences.customSources[category]) {
-        this.userPreferences.customSources[category].forEach(customSource => {
-          const isSelected = true; // Custom sources are always selected if they exist
-          const item = this.createSourceCheckboxItem(customSource, category, isSelected, true);
-          sourcesContainer.appendChild(item);
-        });
+      Array.from(outline.children)
+        .filter(child => child.localName === 'outline')
+        .forEach(child => collect(child, xmlUrl || !label ? groupName : label));
+    };
+    
+    Array.from(body.children)
+      .filter(child => child.localName === 'outline')
+      .forEach(outline => collect(outline, null));
+    
+    const report = { added: [], duplicates: [], skipped: [], createdCategories: [] };
+    
+    // Resolve categories and check per-category limits before changing anything
+    const plan = [];
+    entries.forEach(entry => {
+      const url = this.upgradeToHttps(entry.url);
+      const name = (entry.name || this.getHostname(url) || url).substring(0, 50);
+      
+      if (!this.sanitizeUrl(url)) {
+        report.skipped.push({ name, url: entry.url, reason: 'invalid URL' });
+        return;
       }
       
-      grid.appendChild(categorySection);
+      plan.push({ name, url, group: entry.group || 'Imported' });
     });
     
-    // Add event listeners to all source checkboxes
-    grid.querySelectorAll('.source-checkbox').forEach(checkbox => {
-      checkbox.addEventListener('change', () => {
-        this.validateSourceSelection(checkbox);
-        this.updateSelectionCounts();
-      });
+    const categoryKeys = new Map();
+    plan.forEach(entry => {
+      if (!categoryKeys.has(entry.group)) {
+        categoryKeys.set(entry.group, this.resolveImportCategory(entry.group, report));
+      }
+      entry.category = categoryKeys.get(entry.group);
+    });
+    
+    this.offerSourceLimitIncrease(plan.filter(entry => entry.category));
+    
+    plan.forEach((entry, index) => {
+      const { name, url, category } = entry;
+      
+      if (!category) {
+        report.skipped.push({ name, url, reason: `custom category limit reached for "${entry.group}"` });
+        return;
+      }
+      
+      if (this.isSourceConfigured(url)) {
+        report.duplicates.push({ name, url });
+        return;
+      }
+      
+      // A source in a category that can't be turned on would never load
+      if (!this.userPreferences.categories.includes(category) &&
+          this.userPreferences.categories.length >= this.maxCategoriesUser) {
+        report.skipped.push({ name, url, reason: `category limit reached, ${this.getCategoryDisplayName(category)} not enabled` });
+        return;
+      }
+      
+      if (this.countCategorySources(category) >= this.maxSourcesPerCategory) {
+        report.skipped.push({ name, url, reason: `${this.getCategoryDisplayName(category)} already has ${this.maxSourcesPerCategory} sources` });
+        return;
+      }
+      
+      // Known feeds select the built-in source instead of duplicating it
+      const builtIn = (this.defaultSources[category] || []).find(source => source.url === url);
+      if (builtIn) {
+        this.userPreferences.sources[category] = [...(this.userPreferences.sources[category] || []), builtIn.id];
+      } else {
+        if (!this.userPreferences.customSources[category]) {
+          this.userPreferences.customSources[category] = [];
+        }
+        this.userPreferences.customSources[category].push({
+          id: `custom-${Date.now()}-${index}`,
+          name,
+          url,
+          verified: false,
+          isCustom: true
+        });
+      }
+      
+      if (!this.userPreferences.categories.includes(category)) {
+        this.userPreferences.categories.push(category);
+      }
+      
+      report.added.push({ name, url, category });
     });
+    
+    // Don't keep categories created for feeds that were all skipped
+    const usedCategories = new Set(report.added.map(entry => entry.category));
+    const unused = report.createdCategories.filter(groupName => !usedCategories.has(this.normalizeCategoryKey(groupName)));
+    this.userPreferences.customCategories = this.userPreferences.customCategories.filter(groupName => !unused.includes(groupName));
+    report.createdCategories = report.createdCategories.filter(groupName => !unused.includes(groupName));
+    
+    return report;
   }
   
   /**
-   * Create consistent checkbox item for sources (both built-in and custom)
+   * Map an OPML group title to a category key, creating a custom category if needed
    */
-  createSourceCheckboxItem(source, category, isSelected, isCustom) {
-    const item = document.createElement('label');
-    item.className = 'checkbox-item source-item';
+  resolveImportCategory(groupName, report) {
+    const key = this.normalizeCategoryKey(groupName);
     
-    if (isCustom) {
-      item.setAttribute('data-custom', 'true');
-    }
+    if (this.categoryMetadata[key]) return key;
     
-    const sourceUrl = source.url || source.rss || '';
-    const hostname = sourceUrl ? new URL(sourceUrl).hostname : 'Custom RSS';
+    const builtIn = Object.entries(this.categoryMetadata).find(([, metadata]) =>
+      this.normalizeCategoryKey(metadata.name) === key
+    );
+    if (builtIn) return builtIn[0];
     
-    item.innerHTML = `
-      <input 
-        type="checkbox" 
-        class="source-checkbox" 
-        value="${source.id}" 
-        data-category="${category}"
-        ${isSelected ? 'checked' : ''}
-        aria-describedby="src-${source.id}-desc"
-      >
-      <div class="checkbox-content">
-        <div class="checkbox-label">
-          ${source.name}
-          ${source.verified ? ' ✓' : ''}
-        </div>
-        <div id="src-${source.id}-desc" class="checkbox-description">
-          ${hostname}
-        </div>
-      </div>
-    `;
+    if (this.categoryExists(groupName)) return key;
     
-    return item;
+    if (this.userPreferences.customCategories.length >= this.maxCustomCategories) {
+      return null;
+    }
+    
+    this.userPreferences.customCategories.push(groupName);
+    report.createdCategories.push(groupName);
+    return key;
   }
   
   /**
-   * Validate source selection limits per category
+   * Offer to raise the per-category source limit when an import needs it
    */
-  validateSourceSelection(changedCheckbox) {
-    const category = changedCheckbox.dataset.category;
-    const categorySources = document.querySelectorAll(`.source-checkbox[data-category="${category}"]:checked`);
+  offerSourceLimitIncrease(entries) {
+    const needed = {};
+    entries.forEach(entry => {
+      if (!this.isSourceConfigured(entry.url)) {
+        needed[entry.category] = (needed[entry.category] ?? this.countCategorySources(entry.category)) + 1;
+      }
+    });
     
-    if (categorySources.length > this.maxSourcesPerCategory) {
-      changedCheckbox.checked = false;
-      this.showNotification(`Maximum ${this.maxSourcesPerCategory} sources per category`, 'warning');
+    const required = Math.max(0, ...Object.values(needed));
+    if (required <= this.maxSourcesPerCategory) return;
+    
+    if (confirm(`This import needs up to ${required} sources per category (limit is ${this.maxSourcesPerCategory}). Raise the limit?`)) {
+      this.userPreferences.maxSourcesPerCategory = required;
+      this.applyPreferenceLimits();
     }
   }
   
   /**
-   * Populate custom category select dropdown
+   * Count selected built-in plus custom sources in a category
    */
-  populateCustomCategorySelect() {
-    const select = document.getElementById('customSourceCategory');
-    select.innerHTML = '<option value="">Select category</option>';
-    
-    // Add default categories
-    Object.entries(this.categoryMetadata).forEach(([key, metadata]) => {
-      select.innerHTML += `<option value="${key}">${metadata.name}</option>`;
-    });
-    
-    // Add custom categories
-    this.userPreferences.customCategories.forEach(category => {
-      const key = category.toLowerCase().replace(/\s+/g, '');
-      select.innerHTML += `<option value="${key}">${category}</option>`;
-    });
+  countCategorySources(category) {
+    return (this.userPreferences.sources[category] || []).length +
+      (this.userPreferences.customSources[category] || []).length;
   }
   
   /**
-   * Populate custom categories and sources lists
+   * Check whether a feed URL is already selected or added as a custom source
    */
-  populateCustomLists() {
-    // Custom categories
-    const categoriesList = document.getElementById('customCategoriesList');
-    categoriesList.innerHTML = '';
-    
-    this.userPreferences.customCategories.forEach((category, index) => {
-      const item = document.createElement('div');
-      item.className = 'custom-item';
-      item.innerHTML = `
-        <div class="custom-item-info">
-          <div class="custom-item-name">${category}</div>
-        </div>
-        <button 
-          type="button" 
-          class="btn btn--icon" 
-          aria-label="Remove ${category}"
-          onclick="newsApp.removeCustomCategory(${index})"
-        >
-          <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-          </svg>
-        </button>
-      `;
-      categoriesList.appendChild(item);
-    });
+  isSourceConfigured(url) {
+    const isCustom = Object.values(this.userPreferences.customSources)
+      .some(sources => sources.some(source => source.url === url));
     
-    // Custom sources
-    const sourcesList = document.getElementById('customSourcesList');
-    sourcesList.innerHTML = '';
+    const isSelected = Object.entries(this.defaultSources).some(([category, sources]) =>
+      sources.some(source => source.url === url && (this.userPreferences.sources[category] || []).includes(source.id))
+    );
     
-    Object.entries(this.userPreferences.customSources).forEach(([category, sources]) => {
-      sources.forEach((source, index) => {
-        const item = document.createElement('div');
-        item.className = 'custom-item';
-        item.innerHTML = `
-          <div class="custom-item-info">
-            <div class="custom-item-name">${source.name}</div>
-            <div class="custom-item-details">${source.url} (${category})</div>
-          </div>
-          <button 
-            type="button" 
-            class="btn btn--icon" 
-            aria-label="Remove ${source.name}"
-            onclick="newsApp.removeCustomSource('${category}', ${index})"
-          >
-            <svg class="icon__heroicon" width="16" height="16" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-            </svg>
-          </button>
-        `;
-        sourcesList.appendChild(item);
-      });
-    });
+    return isCustom || isSelected;
   }
   
   /**
-   * Update selection counts in modal
+   * Get a URL's hostname, or an empty string if it does not parse
    */
-  updateSelectionCounts() {
-    const selectedCategories = document.querySelectorAll('.category-checkbox:checked').length;
-    const selectedSources = document.querySelectorAll('.source-checkbox:checked').length;
-    
-    document.getElementById('selectedCategoriesCount').textContent = selectedCategories;
-    document.getElementById('selectedSourcesCount').textContent = selectedSources;
+  getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return '';
+    }
   }
   
   /**
-   * Add custom category
+   * Show the OPML import report (duplicates and skipped entries)
    */
-  addCustomCategory() {
-    const input = document.getElementById('customCategoryInput');
-    const name = input.value.trim();
-    
-    if (!name) {
-      this.showNotification('Please enter a category name', 'warning');
-      input.focus();
-      return;
-    }
-    
-    if (this.userPreferences.customCategories.length >= 9) {
-      this.showNotification('Maximum 9 custom categories allowed', 'warning');
-      return;
-    }
-    
-    if (this.userPreferences.customCategories.includes(name)) {
-      this.showNotification('Category already exists', 'warning');
-      input.focus();
-      return;
+  renderImportReport(report, containerId = 'opmlReport') {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    container.hidden = false;
+    
+    const summary = document.createElement('div');
+    summary.className = 'import-report__summary';
+    summary.textContent = `Added ${report.added.length}, duplicates ${report.duplicates.length}, skipped ${report.skipped.length}` +
+      (report.createdCategories.length ? `. New categories: ${report.createdCategories.join(', ')}` : '');
+    container.appendChild(summary);
+    
+    const lines = [
+      ...report.duplicates.map(entry => `Duplicate: ${entry.name} (${entry.url})`),
+      ...report.skipped.map(entry => `Skipped: ${entry.name} (${entry.reason})`)
+    ];
+    
+    if (lines.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'import-report__list';
+      lines.forEach(line => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      container.appendChild(list);
     }
-    
-    this.userPreferences.customCategories.push(name);
-    input.value = '';
-    
-    this.populateCustomLists();
-    this.populateCustomCategorySelect();
-    this.populateCategoryGrid(); // Refresh to show new custom category
-    
-    this.showNotification(`Added custom category: ${name}`, 'success');
   }
   
   /**
-   * Remove custom category
+   * Build OPML for the selected built-in sources and custom sources
    */
-  removeCustomCategory(index) {
-    const category = this.userPreferences.customCategories[index];
+  buildOPML() {
+    const doc = document.implementation.createDocument(null, 'opml', null);
+    const opml = doc.documentElement;
+    opml.setAttribute('version', '2.0');
     
-    if (confirm(`Remove custom category "${category}"?`)) {
-      this.userPreferences.customCategories.splice(index, 1);
+    const head = doc.createElement('head');
+    const title = doc.createElement('title');
+    title.textContent = 'NewsStream Sources';
+    const dateCreated = doc.createElement('dateCreated');
+    dateCreated.textContent = new Date().toUTCString();
+    head.append(title, dateCreated);
+    
+    const body = doc.createElement('body');
+    
+    this.userPreferences.categories.forEach(category => {
+      const selectedIds = this.userPreferences.sources[category] || [];
+      const sources = [
+        ...(this.defaultSources[category] || []).filter(source => selectedIds.includes(source.id)),
+        ...(this.userPreferences.customSources[category] || [])
+      ];
       
-      // Also remove from user's selected categories
-      const categoryKey = category.toLowerCase().replace(/\s+/g, '');
-      this.userPreferences.categories = this.userPreferences.categories.filter(cat => cat !== categoryKey);
+      if (sources.length === 0) return;
       
-      // Remove associated custom sources
-      delete this.userPreferences.customSources[categoryKey];
+      const group = doc.createElement('outline');
+      const displayName = this.getCategoryDisplayName(category);
+      group.setAttribute('text', displayName);
+      group.setAttribute('title', displayName);
       
-      this.populateCustomLists();
-      this.populateCustomCategorySelect();
-      this.populateCategoryGrid(); // Refresh to hide removed category
+      sources.forEach(source => {
+        const outline = doc.createElement('outline');
+        outline.setAttribute('type', 'rss');
+        outline.setAttribute('text', source.name);
+        outline.setAttribute('title', source.name);
+        outline.setAttribute('xmlUrl', source.url);
+        group.appendChild(outline);
+      });
       
-      this.showNotification(`Removed custom category: ${category}`, 'success');
-    }
+      body.appendChild(group);
+    });
+    
+    opml.append(head, body);
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(doc)}`;
   }
   
   /**
-   * Add custom RSS source
+   * Download the current source list as OPML
    */
-  addCustomSource() {
-    const nameInput = document.getElementById('customSourceName');
-    const urlInput = document.getElementById('customSourceURL');
-    const categorySelect = document.getElementById('customSourceCategory');
-    
-    const name = nameInput.value.trim();
-    const url = urlInput.value.trim();
-    const category = categorySelect.value;
-    
-    if (!name || !url || !category) {
-      this.showNotification('Please fill all fields', 'warning');
-      return;
-    }
-    
-    if (!url.startsWith('https://')) {
-      this.showNotification('RSS URL must use HTTPS', 'warning');
-      urlInput.focus();
-      return;
-    }
-    
-    // Initialize category if needed
-    if (!this.userPreferences.customSources[category]) {
-      this.userPreferences.customSources[category] = [];
-    }
-    
-    if (this.userPreferences.customSources[category].length >= this.maxSourcesPerCategory) {
-      this.showNotification(`Maximum ${this.maxSourcesPerCategory} custom sources per category`, 'warning');
-      return;
-    }
-    
-    // Check for duplicates
-    const exists = this.userPreferences.customSources[category].some(source => 
-      source.name === name || source.url === url
-    );
-    
-    if (exists) {
-      this.showNotification('Source already exists', 'warning');
-      return;
-    }
-    
-    this.userPreferences.customSources[category].push({
-      id: `custom-${Date.now()}`,
-      name,
-      url,
-      verified: false,
-      isCustom: true
-    });
-    
-    // Clear inputs
-    nameInput.value = '';
-    urlInput.value = '';
-    categorySelect.value = '';
-    
-    this.populateCustomLists();
-    this.populateSourcesGrid(); // Refresh to show new custom source
-    
-    this.showNotification(`Added custom source: ${name}`, 'success');
+  exportOPML() {
+    this.downloadFile(this.buildOPML(), 'newsstream-sources.opml', 'text/x-opml');
+    this.showNotification('Exported sources as OPML', 'success');
+  }
+  
+  /**
+   * Trigger a browser download for generated content
+   */
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
   
   /**
@@ -1712,9 +6840,82 @@ class NewsStreamApp {
       }
     });
     
+    // Collect proxy chain
+    const proxies = document.getElementById('proxyListInput').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    
+    const invalidProxy = proxies.find(proxy => !this.isValidProxy(proxy));
+    if (invalidProxy) {
+      this.showNotification(`Invalid proxy: ${invalidProxy}`, 'error');
+      return;
+    }
+    
+    // Collect catalog URLs
+    const catalogUrls = document.getElementById('catalogListInput').value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    
+    const invalidCatalog = catalogUrls.find(url => !this.isValidCatalogUrl(url));
+    if (invalidCatalog) {
+      this.showNotification(`Invalid catalog URL: ${invalidCatalog}`, 'error');
+      return;
+    }
+    
+    // Collect mute rules
+    const readLines = id => document.getElementById(id).value
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+    
+    const muteKeywords = readLines('muteKeywordsInput');
+    const invalidKeyword = muteKeywords.find(term => !this.parseRuleTerm(term));
+    if (invalidKeyword) {
+      this.showNotification(`Invalid mute keyword: ${invalidKeyword}`, 'error');
+      return;
+    }
+    
+    const muteDomains = readLines('muteDomainsInput').map(domain =>
+      domain.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '')
+    );
+    const invalidDomain = muteDomains.find(domain => !this.isValidMuteDomain(domain));
+    if (invalidDomain) {
+      this.showNotification(`Invalid domain: ${invalidDomain}`, 'error');
+      return;
+    }
+    
+    // Collect display limits
+    const articlesPerPage = Number(document.getElementById('articlesPerPageInput').value);
+    const articlesPerSource = Number(document.getElementById('articlesPerSourceInput').value);
+    
+    if (!Number.isInteger(articlesPerPage) || articlesPerPage < 10 || articlesPerPage > 500) {
+      this.showNotification('Articles per page must be between 10 and 500', 'error');
+      return;
+    }
+    
+    if (!Number.isInteger(articlesPerSource) || articlesPerSource < 1 || articlesPerSource > 100) {
+      this.showNotification('Articles per source must be between 1 and 100', 'error');
+      return;
+    }
+    
+    const previousCatalogUrls = this.getCatalogUrls().join('\n');
+    
     // Update preferences
     this.userPreferences.categories = selectedCategories;
     this.userPreferences.sources = selectedSources;
+    this.userPreferences.proxies = proxies.length > 0 ? proxies : [...this.defaultProxies];
+    this.userPreferences.catalogUrls = catalogUrls.length > 0 ? catalogUrls : [...this.defaultCatalogUrls];
+    this.userPreferences.fetchPageImages = document.getElementById('fetchPageImagesInput').checked;
+    this.userPreferences.articlesPerPage = articlesPerPage;
+    this.userPreferences.articlesPerSource = articlesPerSource;
+    this.userPreferences.infiniteScroll = document.getElementById('infiniteScrollInput').checked;
+    this.userPreferences.markReadOnScroll = document.getElementById('markReadOnScrollInput').checked;
+    this.userPreferences.clusterThreshold = Number(document.getElementById('clusterThresholdInput').value);
+    this.userPreferences.muteRules.keywords = muteKeywords;
+    this.userPreferences.muteRules.domains = [...new Set(muteDomains)];
+    this.applyPreferenceLimits();
     
     // Save to localStorage
     this.saveUserPreferences();
@@ -1726,12 +6927,41 @@ class NewsStreamApp {
     this.updateActiveSourcesDisplay();
     this.showNotification('Settings saved! Refreshing news...', 'success');
     
-    // Refresh news with new settings
-    setTimeout(() => {
+    // Refresh news with new settings (reloading the catalog first if its URLs changed)
+    const catalogChanged = this.getCatalogUrls().join('\n') !== previousCatalogUrls;
+    setTimeout(async () => {
+      if (catalogChanged) {
+        await this.reloadSourceCatalog();
+      }
       this.refreshNews();
     }, 500);
   }
   
+  /**
+   * Reload the source catalog and re-validate preferences against it
+   */
+  async reloadSourceCatalog() {
+    if (!await this.loadSourceCatalog()) {
+      this.showNotification('Could not load the source catalog; keeping your current sources', 'warning');
+      return;
+    }
+    
+    const { preferences, dropped, catalogChanges } = this.restorePreferences(this.userPreferences);
+    this.userPreferences = preferences;
+    this.applyPreferenceLimits();
+    this.compileCategoryRules();
+    this.saveUserPreferences();
+    this.updateActiveSourcesDisplay();
+    
+    if (catalogChanges.length > 0) {
+      this.showNotification(`Source catalog changed: ${catalogChanges.join('; ')}`, 'warning');
+    }
+    
+    if (dropped.length > 0) {
+      console.warn('⚠️ Dropped preference entries after catalog reload:', dropped);
+    }
+  }
+  
   /**
    * Reset settings to defaults
    */
@@ -1742,6 +6972,8 @@ class NewsStreamApp {
       
       // Reload preferences
       this.userPreferences = this.loadUserPreferences();
+      this.applyPreferenceLimits();
+      this.compileCategoryRules();
       
       // Repopulate modal
       this.populateSettingsModal();
@@ -1829,6 +7061,31 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
+// Handle connection changes for offline mode
+window.addEventListener('online', () => {
+  if (window.newsApp) {
+    window.newsApp.handleConnectionRestored();
+  }
+});
+
+window.addEventListener('offline', () => {
+  if (window.newsApp) {
+    console.log('📴 Connection lost');
+    window.newsApp.getArticleSnapshot().then(snapshot => {
+      window.newsApp.showOfflineIndicator(snapshot?.savedAt || null);
+    });
+  }
+});
+
+// Register service worker for offline app shell
+if ('serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('sw.js').catch(error => {
+      console.warn('Service worker registration failed:', error);
+    });
+  });
+}
+
 // Handle errors globally
 window.addEventListener('error', (event) => {
   console.error('❌ Global error:', event.error);
@@ -0,0 +1,99 @@
+/**
+ * NewsStream - Service Worker
+ * Caches the app shell and fonts so the app starts offline.
+ * Feed requests are not intercepted; articles are stored in IndexedDB by the app.
+ */
+
+const SHELL_CACHE = 'newsstream-shell-v2';
+const FONT_CACHE = 'newsstream-fonts-v1';
+
+const SHELL_ASSETS = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'catalog/sources.json',
+  'favicon.ico'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const currentCaches = [SHELL_CACHE, FONT_CACHE];
+  
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('newsstream-') && !currentCaches.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  // Fonts: cache first (font files are immutable)
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+    return;
+  }
+  
+  // App shell: network first so updates land, cache when offline
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Serve from the network, falling back to cache (and to index.html for navigations)
+ */
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+    
+    if (request.mode === 'navigate') {
+      const shell = await cache.match('index.html');
+      if (shell) return shell;
+    }
+    
+    throw error;
+  }
+}